@@ -0,0 +1,810 @@
+/*
+ * ByTime object - methods summary
+ *
+ *   lookup = new ByTime(points...)
+ *   lookup.addPoints(points...)
+ *   old = lookup.configure({ interp: 'rhumb' })
+ *   opts = lookup.settings(opts)
+ *
+ *   pts = lookup.getPoints()
+ *   range = lookup.timeRange()
+ *   gaps = lookup.gaps(opts)
+ *   segs = lookup.segments(opts)
+ *   simple = lookup.simplify(tolerance, opts)
+ *   even = lookup.resample(step, opts)
+ *
+ *   pt = lookup.nearest(time, maxDist, opts)
+ *   res = lookup.lookup(time, maxDist, opts)
+ *   res = lookup.closest(place, maxDist, opts)
+ *
+ *   dist = ByTime.havDistance(pt1, pt2, ...)
+ *   secs = ByTime.toTime('2007-02-23T10:15:00Z')
+ *   secs = ByTime.parseTime('2007-02-23T10:15:00Z')
+ *   index = ByTime.track(pts)              // pts as an index, unless it is one already
+ *   opts = ByTime.merge(defaults, opts)    // a copy of defaults with opts over them
+ *   metres = ByTime.fixError(pt, opts)     // a fix's own error, from its hdop
+ *   val = ByTime.interp(lo, mid, hi, val1, val2)
+ *   p = ByTime.place(place)                // a LatLong, from a place as closest() takes
+ *   gap = ByTime.gap(pts, i, opts)         // between fixes i and i+1, as gaps() lists it
+ *
+ * points:
+ *   { lat: 54.29, lon: -2.02, time: 1172188800 } - degrees and seconds
+ *   an object with latitude(), longitude() and time() methods
+ *   a LatLong with a time property (or method)
+ *   an array of any of the above
+ *   an iterator function returning successive points, then null
+ *
+ * options (ByTime.defaults, overridden by configure() and then by per-call opts):
+ *   interp - how to interpolate between fixes: 'greatCircle', 'rhumb' or 'linear'
+ *   clock  - object with a toUTC(time) method (eg a Clock) correcting lookup times from
+ *            the camera's clock to the track's
+ *   maxGap, maxSpeed - longest time (seconds) and fastest implied speed (metres/second)
+ *            between consecutive fixes that can be interpolated across; beyond either
+ *            the fixes are either side of a gap in the track
+ *   onGap  - what a lookup inside a gap gives: 'reject' (null) or 'flag' (a result
+ *            marked lowConfidence)
+ *   uere, fixError, stray, wander - the error model (see ByTime._error)
+ *   extrapolate - how many seconds before the first fix or after the last a position
+ *            may be projected by dead reckoning (default null: none)
+ *
+ * lookup times may be seconds since the epoch, Date objects or ISO 8601 strings
+ *
+ * JavaScript version of Geo::Lookup::ByTime; distances are in metres
+ */
+
+if (typeof LatLong == 'undefined' && typeof require == 'function') {
+  var LatLong = require('./hav.js').LatLong;
+}
+
+
+/*
+ * ByTime constructor:
+ *
+ *   arguments are points as per ByTime.prototype.addPoints()
+ */
+function ByTime() {
+  this.points = [];
+  this.needSort = false;
+  this.options = {};
+  this.addPoints.apply(this, arguments);
+}
+
+
+/*
+ * default lookup options
+ */
+ByTime.defaults = {
+  interp: 'greatCircle', clock: null, maxGap: null, maxSpeed: null, onGap: 'reject',
+  uere: 5, fixError: 10, stray: 0.5, wander: 0.5, extrapolate: null
+};
+
+
+/*
+ * interpolation methods: each is given the two { lat, lon, time } fixes either side of the
+ *   time and returns { lat, lon } in degrees, with longitude in -180...+180
+ */
+ByTime.interpolators = {
+  // along the great circle through both fixes - the shortest path
+  greatCircle: function(p1, p2, time) {
+    var f = ByTime.interp(p1.time, time, p2.time, 0, 1);
+    var p = LatLong.intermediatePoint(new LatLong(p1.lat, p1.lon), new LatLong(p2.lat, p2.lon), f);
+    return { lat: p.lat * 180 / Math.PI, lon: p.lon * 180 / Math.PI };
+  },
+
+  // along the line of constant bearing; falls back on the great circle where the rhumb
+  // line is undefined (starting or ending at a pole)
+  rhumb: function(p1, p2, time) {
+    var f = ByTime.interp(p1.time, time, p2.time, 0, 1);
+    var a = new LatLong(p1.lat, p1.lon), b = new LatLong(p2.lat, p2.lon), opts = { units: 'm' };
+    var p = a.destPointRhumb(LatLong.brngRhumb(a, b) * 180 / Math.PI, f * LatLong.distRhumb(a, b, opts), opts);
+    if (!p || Math.abs(p1.lat) == 90 || Math.abs(p2.lat) == 90)
+      return ByTime.interpolators.greatCircle(p1, p2, time);
+    return { lat: p.lat * 180 / Math.PI, lon: LatLong.wrapLon(p.lon * 180 / Math.PI) };
+  },
+
+  // latitude and longitude separately, taking the shorter way round in longitude
+  linear: function(p1, p2, time) {
+    var lon2 = p2.lon;
+    if (lon2 - p1.lon > 180) lon2 -= 360;
+    else if (lon2 - p1.lon < -180) lon2 += 360;
+    return {
+      lat: ByTime.interp(p1.time, time, p2.time, p1.lat, p2.lat),
+      lon: LatLong.wrapLon(ByTime.interp(p1.time, time, p2.time, p1.lon, lon2))
+    };
+  }
+};
+
+
+/*
+ * change this index's lookup options; returns the previous settings so they can be restored
+ */
+ByTime.prototype.configure = function(opts) {
+  var old = this.options;
+  this.options = {};
+  for (var k in old) this.options[k] = old[k];
+  for (var k in opts) this.options[k] = opts[k];
+  this.settings();                                // validates the result
+  return old;
+}
+
+
+/*
+ * the options a call given opts would use: opts merged over this index's options and
+ *   ByTime.defaults, and checked
+ */
+ByTime.prototype.settings = function(opts) {
+  var o = ByTime.merge(ByTime.merge(ByTime.defaults, this.options), opts);
+  if (!ByTime.interpolators.hasOwnProperty(o.interp))
+    throw new Error('Unknown interpolation: ' + o.interp);
+  if (o.onGap != 'reject' && o.onGap != 'flag')
+    throw new Error('Unknown onGap setting: ' + o.onGap);
+  return o;
+}
+
+
+/*
+ * add points to the index - they're sorted by time lazily when next needed
+ */
+ByTime.prototype.addPoints = function() {
+  if (arguments.length) this.needSort = true;
+
+  for (var i = 0; i < arguments.length; i++) {
+    var pt = arguments[i];
+
+    if (typeof pt == 'function') {                  // iterator
+      for (var ipt = pt(); ipt; ipt = pt()) this.addPoints(ipt);
+    } else if (pt instanceof Array) {
+      this.addPoints.apply(this, pt);
+    } else if (pt instanceof LatLong) {
+      this.points.push({
+        lat: pt.lat * 180 / Math.PI,
+        lon: pt.lon * 180 / Math.PI,
+        time: typeof pt.time == 'function' ? pt.time() : pt.time,
+        orig: pt
+      });
+    } else if (pt && typeof pt.latitude == 'function' &&
+               typeof pt.longitude == 'function' && typeof pt.time == 'function') {
+      this.points.push({
+        lat: ByTime._deg(pt.latitude()),
+        lon: ByTime._deg(pt.longitude()),
+        time: pt.time(),
+        orig: pt
+      });
+    } else if (pt && typeof pt == 'object') {
+      if (!('lat' in pt && 'lon' in pt && 'time' in pt))
+        throw new Error('Point hashes must have the following keys: lat, lon, time');
+      this.points.push(pt);
+    } else {
+      throw new Error("Don't know how to add " + (pt == null ? '(undef)' : pt));
+    }
+  }
+}
+
+
+/*
+ * return the points in ascending time order, discarding any with missing values
+ */
+ByTime.prototype.getPoints = function() {
+  if (this.needSort) {
+    var np = [];
+    for (var i = 0; i < this.points.length; i++) {
+      var pt = this.points[i];
+      if (pt.lat != null && pt.lon != null && pt.time != null) np.push(pt);
+    }
+    np.sort(function(a, b) { return a.time - b.time; });
+    this.points = np;
+    this.needSort = false;
+  }
+  return this.points;
+}
+
+
+/*
+ * return [ earliest, latest ] time covered by the index, or null if it's empty
+ */
+ByTime.prototype.timeRange = function() {
+  var pts = this.getPoints();
+  if (!pts.length) return null;
+  return [ pts[0].time, pts[pts.length-1].time ];
+}
+
+
+/*
+ * estimate position at the given time: returns { lat, lon, time } or null if the time
+ *   is outside the range of the points (and beyond any extrapolate limit), falls in a
+ *   gap (unless onGap is 'flag') or, when maxDist (metres) is given, the closest real
+ *   point is further than that from the estimated position
+ */
+ByTime.prototype.nearest = function(time, maxDist, opts) {
+  var res = this.lookup(time, maxDist, opts);
+  return res ? res.best : null;
+}
+
+
+/*
+ * as nearest() but returns { best: estimated point { lat, lon, time } (and ele, in
+ *   metres, where the fixes it comes from have one), nearest: closest real point (the
+ *   object that was originally added), dist: distance between them in metres, exact: true
+ *   if the time matched a fix exactly, false if the position was interpolated,
+ *   lowConfidence: true if it was interpolated across a gap, gap: the gap (as listed by
+ *   gaps()) or null, error: estimated error radius of the position in metres,
+ *   extrapolated: true if the position was projected beyond the ends of the track }
+ */
+ByTime.prototype.lookup = function(time, maxDist, opts) {
+  opts = this.settings(opts);
+  time = ByTime.toTime(time);
+  if (opts.clock) time = opts.clock.toUTC(time);
+  var pts = this.getPoints();
+  return ByTime._lookup(pts, ByTime._search(pts, time), time, maxDist, opts);
+}
+
+
+/*
+ * the lookup() result for a time, given where _search() puts it in the points (internal
+ *   use)
+ */
+ByTime._lookup = function(pts, pos, time, maxDist, opts) {
+  if (pos == null) return ByTime._extrapolate(pts, time, maxDist, opts);
+
+  if (pts[pos].time == time) {
+    // exact match - just return the point
+    var ele = ByTime._ele(pts[pos]);
+    return {
+      best: ele == null ? { lat: pts[pos].lat, lon: pts[pos].lon, time: time }
+                        : { lat: pts[pos].lat, lon: pts[pos].lon, time: time, ele: ele },
+      nearest: pts[pos].orig || pts[pos],
+      dist: 0,
+      exact: true,
+      lowConfidence: false,
+      gap: null,
+      error: ByTime.fixError(pts[pos], opts),
+      extrapolated: false
+    };
+  }
+
+  // if we're at the first point we can't interpolate with anything
+  if (pos == 0) return ByTime._extrapolate(pts, time, maxDist, opts);
+
+  var p1 = pts[pos-1], p2 = pts[pos];
+
+  // too long or too far between the fixes to trust?
+  var gap = ByTime.gap(pts, pos-1, opts);
+  if (gap && opts.onGap == 'reject') return null;
+
+  // interpolate between nearest points
+  var pt = ByTime.interpolators[opts.interp](p1, p2, time);
+  pt.time = time;
+  var ele1 = ByTime._ele(p1), ele2 = ByTime._ele(p2);
+  if (ele1 != null && ele2 != null) pt.ele = ByTime.interp(p1.time, time, p2.time, ele1, ele2);
+
+  var best = Math.abs(time - p1.time) < Math.abs(time - p2.time) ? p1 : p2;
+  var dist = ByTime.havDistance(pt, best);
+
+  // nearest point out of range?
+  if (maxDist != null && dist > maxDist) return null;
+
+  return {
+    best: pt, nearest: best.orig || best, dist: dist, exact: false, lowConfidence: !!gap, gap: gap,
+    error: ByTime._error(p1, p2, time, opts),
+    extrapolated: false
+  };
+}
+
+
+/*
+ * the reverse of lookup(): find when the track came closest to a place - a LatLong, an
+ *   object with latitude() and longitude() methods or { lat, lon } in degrees. Each pair
+ *   of consecutive fixes is taken as a great circle segment, except across a gap when
+ *   onGap is 'reject' (then only the fixes themselves count). Returns
+ *
+ *   { best: { lat, lon, time } the closest point on the track, index: of the fix
+ *     starting its segment, fraction: how far along the segment it is (0...1), dist:
+ *     metres from the place, lowConfidence, gap }
+ *
+ *   or null if the track is empty or, when maxDist (metres) is given, it never came
+ *   that close
+ */
+ByTime.prototype.closest = function(place, maxDist, opts) {
+  opts = this.settings(opts);
+  var target = ByTime.place(place);
+  var pts = this.getPoints(), units = { units: 'm' }, res = null;
+
+  var segs = pts.length > 1 ? pts.length - 1 : pts.length;   // a lone fix is its own segment
+  for (var i = 0; i < segs; i++) {
+    var p1 = pts[i], p2 = pts[i+1] || p1, gap = p2 == p1 ? null : ByTime.gap(pts, i, opts);
+    var a = new LatLong(p1.lat, p1.lon), b = new LatLong(p2.lat, p2.lon);
+    var len = LatLong.distHaversine(a, b, units), f = 0;
+
+    if (gap && opts.onGap == 'reject') {
+      // only the fixes either end of a gap are known
+      f = LatLong.distHaversine(target, a) <= LatLong.distHaversine(target, b) ? 0 : 1;
+      gap = null;
+    } else if (len > 0) {
+      f = Math.min(1, Math.max(0, target.alongTrackDist(a, b, units) / len));
+    }
+
+    var p = LatLong.intermediatePoint(a, b, f);
+    var dist = LatLong.distHaversine(target, p, units);
+    if (res && dist >= res.dist) continue;
+
+    res = {
+      best: {
+        lat: p.lat * 180 / Math.PI, lon: LatLong.wrapLon(p.lon * 180 / Math.PI),
+        time: p1.time + f * (p2.time - p1.time)
+      },
+      index: i, fraction: f, dist: dist, lowConfidence: !!gap, gap: gap
+    };
+  }
+
+  if (res && maxDist != null && res.dist > maxDist) return null;
+  return res;
+}
+
+
+/*
+ * list the gaps in the track - consecutive fixes further apart than maxGap seconds or
+ *   implying a speed over maxSpeed metres/second - as
+ *
+ *   { start, end: times of the fixes either side, duration: seconds, dist: metres,
+ *     speed: metres/second, reason: 'time' or 'speed', index: of the fix before }
+ */
+ByTime.prototype.gaps = function(opts) {
+  opts = this.settings(opts);
+  var pts = this.getPoints(), gaps = [];
+  for (var i = 0; i + 1 < pts.length; i++) {
+    var gap = ByTime.gap(pts, i, opts);
+    if (gap) gaps.push(gap);
+  }
+  return gaps;
+}
+
+
+/*
+ * split the track at its gaps: returns an array of ByTime indexes, one per unbroken
+ *   segment, with the same options as this one
+ */
+ByTime.prototype.segments = function(opts) {
+  var pts = this.getPoints(), gaps = this.gaps(opts), segs = [], from = 0;
+  for (var i = 0; i <= gaps.length; i++) {
+    var to = i < gaps.length ? gaps[i].index + 1 : pts.length;
+    if (to > from) {
+      var seg = new ByTime(pts.slice(from, to));
+      seg.configure(this.options);
+      segs.push(seg);
+    }
+    from = to;
+  }
+  return segs;
+}
+
+
+/*
+ * a simplified copy of the track keeping only the fixes needed to stay within tolerance
+ *   metres of it: returns a new ByTime, with the same options, of the kept points (as
+ *   getPoints() gives them, so original objects and timestamps are kept). The fixes
+ *   either side of a gap are always kept, and no two are joined that would make one.
+ *   opts, as well as ByTime options:
+ *
+ *   method  - 'douglasPeucker' (default) or 'visvalingam' (drops the fix costing least
+ *             first, which keeps the shape more evenly at the same tolerance)
+ *   measure - how far a dropped fix is from the simplified track: 'time' (default) the
+ *             distance to where the simplified track puts us at the fix's time, so
+ *             nearest() stays within tolerance of the original's; or 'path' the spherical
+ *             cross-track distance to the segment that replaces it, keeping only the shape
+ *             (for drawing) - 'time' is never less than 'path'
+ */
+ByTime.prototype.simplify = function(tolerance, opts) {
+  opts = this.settings(opts);
+  if (!(tolerance >= 0)) throw new Error('Bad simplify tolerance ' + tolerance);
+  var method = opts.method || 'douglasPeucker', measure = opts.measure || 'time';
+  if (method != 'douglasPeucker' && method != 'visvalingam')
+    throw new Error('Unknown simplify method ' + method);
+  if (measure != 'time' && measure != 'path') throw new Error('Unknown simplify measure ' + measure);
+
+  var pts = this.getPoints(), gaps = this.gaps(opts), keep = [], from = 0;
+  var dev = function(i, j, k) { return ByTime._deviation(pts, i, j, k, measure, opts); };
+  var split = function(i, j) { return !!ByTime.gap(pts, i, opts, j); };   // too long to join
+  for (var i = 0; i <= gaps.length; i++) {
+    var to = i < gaps.length ? gaps[i].index : pts.length - 1;
+    if (to >= from) ByTime['_' + method](from, to, tolerance, dev, split, keep);
+    from = to + 1;
+  }
+
+  var kept = [];
+  for (var i = 0; i < pts.length; i++) if (keep[i]) kept.push(pts[i]);
+  var res = new ByTime(kept);
+  res.configure(this.options);
+  return res;
+}
+
+
+/*
+ * the track resampled at a fixed step: returns a new ByTime, with the same options, of
+ *   { lat, lon, time } points starting at each unbroken segment's first fix and ending at
+ *   its last. opts, as well as ByTime options:
+ *
+ *   by - 'time' (default): a point every step seconds, placed by the interp method; or
+ *        'distance': a point every step metres along the great circles between the fixes,
+ *        its time interpolated by distance
+ */
+ByTime.prototype.resample = function(step, opts) {
+  opts = this.settings(opts);
+  if (!(step > 0)) throw new Error('Bad resample step ' + step);
+  var by = opts.by || 'time';
+  if (by != 'time' && by != 'distance') throw new Error('Unknown resample type ' + by);
+
+  var segs = this.segments(opts), out = [], units = { units: 'm' };
+  for (var s = 0; s < segs.length; s++) {
+    var pts = segs[s].getPoints(), last = pts[pts.length-1];
+
+    if (by == 'time') {
+      for (var t = pts[0].time; t < last.time; t += step) {
+        var pos = ByTime._search(pts, t), pt = pts[pos];
+        if (pt.time != t) pt = ByTime.interpolators[opts.interp](pts[pos-1], pt, t);
+        out.push({ lat: pt.lat, lon: pt.lon, time: t });
+      }
+    } else {
+      var next = 0;                               // distance to the next point from fix i
+      for (var i = 0; i + 1 < pts.length; i++) {
+        var a = new LatLong(pts[i].lat, pts[i].lon), b = new LatLong(pts[i+1].lat, pts[i+1].lon);
+        var len = LatLong.distHaversine(a, b, units), brng = LatLong.bearing(a, b) * 180 / Math.PI;
+        for (; next < len; next += step) {
+          var p = a.destPoint(brng, next, units);
+          out.push({
+            lat: p.lat * 180 / Math.PI, lon: LatLong.wrapLon(p.lon * 180 / Math.PI),
+            time: pts[i].time + next / len * (pts[i+1].time - pts[i].time)
+          });
+        }
+        next -= len;
+      }
+    }
+    out.push({ lat: last.lat, lon: last.lon, time: last.time });
+  }
+
+  var res = new ByTime(out);
+  res.configure(this.options);
+  return res;
+}
+
+
+/*
+ * Haversine distance in metres along the line through { lat, lon } points (degrees) - the
+ *   Earth radius comes from LatLong.config
+ */
+ByTime.havDistance = function() {
+  var dist = 0;
+  for (var i = 1; i < arguments.length; i++) {
+    var p1 = arguments[i-1], p2 = arguments[i];
+    dist += LatLong.distHaversine(new LatLong(p1.lat, p1.lon), new LatLong(p2.lat, p2.lon), { units: 'm' });
+  }
+  return dist;
+}
+
+
+/*
+ * convert a lookup time - seconds since the epoch, a Date or an ISO 8601 string - to
+ *   seconds since the epoch; NaN, an invalid Date or an unparseable string is an error
+ */
+ByTime.toTime = function(time) {
+  var secs = typeof time == 'number' ? time
+           : time instanceof Date ? time.getTime() / 1000
+           : typeof time == 'string' ? ByTime.parseTime(time) : NaN;
+  if (isNaN(secs)) throw new Error("Can't understand time " + time);
+  return secs;
+}
+
+
+/*
+ * convert an ISO 8601 date/time to seconds since the epoch; times without a zone are
+ *   taken as UTC. Returns NaN if the string can't be parsed.
+ */
+ByTime.parseTime = function(str) {
+  var m = /^\s*(\d{4})-(\d\d)-(\d\d)(?:[T ](\d\d):(\d\d)(?::(\d\d(?:\.\d*)?))?)?\s*(Z|[+-]\d\d(?::?\d\d)?)?\s*$/i.exec(str);
+  if (!m) return NaN;
+  var date = new Date(Date.UTC(m[1], m[2]-1, m[3], m[4] || 0, m[5] || 0));
+  if (date.getUTCMonth() != m[2]-1 || date.getUTCDate() != m[3] || m[4] > 23 || m[5] > 59 || m[6] >= 61)
+    return NaN;                                   // eg 2020-02-31 rolls over into March
+  var time = date.getTime() / 1000 + parseFloat(m[6] || 0);
+  if (m[7] && m[7].toUpperCase() != 'Z') {
+    var zone = m[7].replace(':', '');
+    var offset = zone.slice(1,3)*3600 + (zone.slice(3,5) || 0)*60;
+    time -= zone.charAt(0) == '-' ? -offset : offset;
+  }
+  return time;
+}
+
+
+/*
+ * a ByTime index for a track given as an index or as anything addPoints() accepts - for
+ *   the modules built on ByTime (TrackStats, TrackFilter, ...) that take either
+ */
+ByTime.track = function(track) {
+  return track instanceof ByTime ? track : new ByTime(track);
+}
+
+
+/*
+ * copy of options a with b's added over them, neither changed (either may be null)
+ */
+ByTime.merge = function(a, b) {
+  var res = {}, k;
+  for (k in a || {}) res[k] = a[k];
+  for (k in b || {}) res[k] = b[k];
+  return res;
+}
+
+
+/*
+ * estimated error (metres) of a fix, as a point or as getPoints() gives it: its HDOP
+ *   times the user equivalent range error opts.uere, or opts.fixError if it has no HDOP.
+ *   opts must have both (eg ByTime.merge(ByTime.defaults, opts))
+ */
+ByTime.fixError = function(pt, opts) {
+  var hdop = pt.hdop != null ? pt.hdop : pt.orig && pt.orig.hdop;
+  return hdop != null && isFinite(hdop) ? hdop * opts.uere : opts.fixError;
+}
+
+
+/*
+ * linear interpolation of val1..val2 by the position of mid in lo..hi (mid outside them
+ *   is an error)
+ */
+ByTime.interp = function(lo, mid, hi, val1, val2) {
+  if (!(lo <= mid && mid <= hi)) throw new Error(lo + ' <= ' + mid + ' <= ' + hi + ' !');
+  var scale = hi - lo;
+  var posn = mid - lo;
+  return (val1 * (scale - posn) + val2 * posn) / scale;
+}
+
+
+/*
+ * convert a place - a LatLong, an object with latitude() and longitude() methods or
+ *   { lat, lon } in degrees, as closest() takes - to a LatLong
+ */
+ByTime.place = function(place) {
+  if (place instanceof LatLong) return place;
+  if (place && typeof place.latitude == 'function' && typeof place.longitude == 'function')
+    return new LatLong(ByTime._deg(place.latitude()), ByTime._deg(place.longitude()));
+  if (place && place.lat != null && place.lon != null) return new LatLong(place.lat, place.lon);
+  throw new Error("Don't know where " + (place == null ? '(undef)' : place) + ' is');
+}
+
+
+/*
+ * the gap between fixes i and i+1 (or j) of getPoints()'s points, as gaps() lists it, or
+ *   null if they're close enough together under opts.maxGap and opts.maxSpeed
+ */
+ByTime.gap = function(pts, i, opts, j) {
+  if (opts.maxGap == null && opts.maxSpeed == null) return null;
+  var p1 = pts[i], p2 = pts[j == null ? i+1 : j];
+  var duration = p2.time - p1.time, dist = ByTime.havDistance(p1, p2);
+  var speed = duration > 0 ? dist / duration : (dist > 0 ? Infinity : 0);
+
+  var reason = null;
+  if (opts.maxGap != null && duration > opts.maxGap) reason = 'time';
+  else if (opts.maxSpeed != null && speed > opts.maxSpeed) reason = 'speed';
+  if (!reason) return null;
+
+  return { start: p1.time, end: p2.time, duration: duration, dist: dist, speed: speed, reason: reason, index: i };
+}
+
+
+/*
+ * dead reckoning from the nearer end of the track, if opts.extrapolate allows it
+ *   (internal use): the position is projected along the track's bearing at that end
+ *   (its final bearing after the last fix, reversed before the first) at the speed of
+ *   the end segment. The error grows with the time projected:
+ *
+ *     error = sqrt(fix error ^ 2 + (dt (opts.stray * speed + opts.wander)) ^ 2)
+ */
+ByTime._extrapolate = function(pts, time, maxDist, opts) {
+  if (opts.extrapolate == null || !pts.length) return null;
+  var n = pts.length, after = time > pts[n-1].time;
+  var end = after ? pts[n-1] : pts[0];
+  var dt = Math.abs(time - end.time);
+  if (dt > opts.extrapolate) return null;
+
+  var brng = 0, speed = 0, units = { units: 'm' };
+  if (n > 1) {
+    var p1 = after ? pts[n-2] : pts[0], p2 = after ? pts[n-1] : pts[1];
+    var a = new LatLong(p1.lat, p1.lon), b = new LatLong(p2.lat, p2.lon);
+    var segDist = LatLong.distHaversine(a, b, units);
+    if (p2.time > p1.time) speed = segDist / (p2.time - p1.time);
+    var initBrng = LatLong.bearing(a, b) * 180 / Math.PI;
+    brng = after ? a.finalBrng(initBrng, segDist, units) * 180 / Math.PI : initBrng + 180;
+  }
+
+  var p = new LatLong(end.lat, end.lon).destPoint(brng, speed * dt, units);
+  var pt = { lat: p.lat * 180 / Math.PI, lon: LatLong.wrapLon(p.lon * 180 / Math.PI), time: time };
+  if (ByTime._ele(end) != null) pt.ele = ByTime._ele(end);
+  var dist = ByTime.havDistance(pt, end);
+  if (maxDist != null && dist > maxDist) return null;
+
+  var fixError = ByTime.fixError(end, opts), drift = dt * (opts.stray * speed + opts.wander);
+  return {
+    best: pt, nearest: end.orig || end, dist: dist, exact: false, lowConfidence: false, gap: null,
+    error: Math.sqrt(fixError*fixError + drift*drift),
+    extrapolated: true
+  };
+}
+
+
+/*
+ * estimated error radius (metres) of a position interpolated between fixes p1 and p2
+ *   (internal use): the error of the fixes themselves, weighted by how close the time is
+ *   to each, combined with how far the track may have strayed from the interpolated
+ *   path. That's zero at the fixes and greatest midway, and grows with the time between
+ *   them and the speed they imply:
+ *
+ *     stray = 2 f (1-f) dt (opts.stray * speed + opts.wander)
+ *
+ *   f being the fraction of the time dt between the fixes, opts.stray the fraction of
+ *   its speed at which the track may have wandered off the path, and opts.wander a
+ *   minimum speed (metres/second) for that
+ */
+ByTime._error = function(p1, p2, time, opts) {
+  var dt = p2.time - p1.time;
+  var f = ByTime.interp(p1.time, time, p2.time, 0, 1);
+  var e1 = ByTime.fixError(p1, opts) * (1-f), e2 = ByTime.fixError(p2, opts) * f;
+  var speed = ByTime.havDistance(p1, p2) / dt;
+  var stray = 2 * f * (1-f) * dt * (opts.stray * speed + opts.wander);
+  return Math.sqrt(e1*e1 + e2*e2 + stray*stray);
+}
+
+
+/*
+ * elevation (metres) of a fix, from the point or the object it was made from, or null
+ *   (internal use)
+ */
+ByTime._ele = function(pt) {
+  if (pt.ele != null) return pt.ele;
+  return pt.orig && pt.orig.ele != null ? pt.orig.ele : null;
+}
+
+
+/*
+ * how far (metres) fix k is from the simplified track's segment from fix i to fix j,
+ *   by the simplify() measure (internal use)
+ */
+ByTime._deviation = function(pts, i, j, k, measure, opts) {
+  var p1 = pts[i], p2 = pts[j], pt = pts[k];
+  if (measure == 'time') {
+    var pos = p2.time > p1.time ? ByTime.interpolators[opts.interp](p1, p2, pt.time) : p1;
+    return ByTime.havDistance(pos, pt);
+  }
+
+  var units = { units: 'm' };
+  var a = new LatLong(p1.lat, p1.lon), b = new LatLong(p2.lat, p2.lon), c = new LatLong(pt.lat, pt.lon);
+  var len = LatLong.distHaversine(a, b, units), along = len > 0 ? c.alongTrackDist(a, b, units) : 0;
+  if (along <= 0) return LatLong.distHaversine(a, c, units);
+  if (along >= len) return LatLong.distHaversine(b, c, units);
+  return Math.abs(c.crossTrackDist(a, b, units));
+}
+
+
+/*
+ * Douglas-Peucker simplification of fixes from...to, marking those kept in keep: the
+ *   fix furthest from the segment joining the ends is kept, and each half simplified in
+ *   turn, until none is further than tolerance and split() allows every segment
+ *   (internal use)
+ */
+ByTime._douglasPeucker = function(from, to, tolerance, dev, split, keep) {
+  keep[from] = keep[to] = true;
+  var stack = [ [ from, to ] ];                   // not recursion: tracks can be long
+  while (stack.length) {
+    var span = stack.pop(), i = span[0], j = span[1], worst = -1;
+    var worstDev = j > i + 1 && split(i, j) ? -1 : tolerance;
+    for (var k = i + 1; k < j; k++) {
+      var d = dev(i, j, k);
+      if (d > worstDev) { worst = k; worstDev = d; }
+    }
+    if (worst < 0) continue;
+    keep[worst] = true;
+    stack.push([ i, worst ], [ worst, j ]);
+  }
+}
+
+
+/*
+ * Visvalingam-style simplification of fixes from...to, marking those kept in keep: the
+ *   fix whose removal costs least - the furthest any dropped fix between its neighbours
+ *   would then be from the segment joining them - is dropped, until every remaining one
+ *   would cost more than tolerance or make a segment split() refuses (internal use)
+ */
+ByTime._visvalingam = function(from, to, tolerance, dev, split, keep) {
+  var prev = {}, next = {}, version = {}, heap = new ByTime._Heap();
+  function cost(k) {
+    if (split(prev[k], next[k])) return Infinity;
+    var worst = 0;
+    for (var m = prev[k] + 1; m < next[k]; m++) worst = Math.max(worst, dev(prev[k], next[k], m));
+    return worst;
+  }
+  function update(k) {
+    if (k == from || k == to) return;
+    version[k] = (version[k] || 0) + 1;
+    heap.push({ cost: cost(k), k: k, version: version[k] });
+  }
+
+  for (var k = from; k <= to; k++) { prev[k] = k - 1; next[k] = k + 1; keep[k] = true; }
+  for (var k = from + 1; k < to; k++) update(k);
+
+  for (var e = heap.pop(); e && e.cost <= tolerance; e = heap.pop()) {
+    if (e.version != version[e.k] || !keep[e.k]) continue;      // superseded
+    keep[e.k] = false;
+    next[prev[e.k]] = next[e.k];
+    prev[next[e.k]] = prev[e.k];
+    update(prev[e.k]);
+    update(next[e.k]);
+  }
+}
+
+
+/*
+ * binary min-heap of { cost } objects (internal use)
+ */
+ByTime._Heap = function() {
+  this.items = [];
+}
+
+ByTime._Heap.prototype.push = function(item) {
+  var a = this.items, i = a.length;
+  a.push(item);
+  while (i > 0) {
+    var parent = (i - 1) >> 1;
+    if (a[parent].cost <= a[i].cost) break;
+    var t = a[parent]; a[parent] = a[i]; a[i] = t;
+    i = parent;
+  }
+}
+
+ByTime._Heap.prototype.pop = function() {
+  var a = this.items;
+  if (!a.length) return null;
+  var top = a[0], last = a.pop();
+  if (a.length) {
+    a[0] = last;
+    for (var i = 0; ; ) {
+      var l = 2*i + 1, r = l + 1, min = i;
+      if (l < a.length && a[l].cost < a[min].cost) min = l;
+      if (r < a.length && a[r].cost < a[min].cost) min = r;
+      if (min == i) break;
+      var t = a[min]; a[min] = a[i]; a[i] = t;
+      i = min;
+    }
+  }
+  return top;
+}
+
+
+/*
+ * return the index of the first point with time >= the supplied time, or null (internal use)
+ *   - the first of any with equal times, so which one matches doesn't depend on where
+ *   the search happens to land
+ */
+ByTime._search = function(pts, time) {
+  var max = pts.length;
+  var lo = 0, hi = max;
+
+  while (lo < hi) {
+    var mid = Math.floor((lo + hi) / 2);
+    if (pts[mid].time < time) lo = mid + 1;
+    else hi = mid;
+  }
+
+  return lo < max ? lo : null;
+}
+
+
+/*
+ * convert a latitude/longitude accessor value to signed decimal degrees - accepts
+ *   anything LatLong.llToRad() does (internal use)
+ */
+ByTime._deg = function(ll) {
+  if (typeof ll == 'number') return ll;
+  return LatLong.llToRad(ll) * 180 / Math.PI;
+}
+
+
+if (typeof module != 'undefined' && module.exports) {
+  module.exports.ByTime = ByTime;
+}
@@ -0,0 +1,187 @@
+/*
+ * Clock object - methods summary
+ *
+ *   clock = new Clock({ zone: '+01:00', offset: -95, drift: 2e-5, epoch: 1172224800 })
+ *   clock = Clock.fit(lookup, [ { time: '2007-02-23T10:15:00', lat: 54.29, lon: -2.02 }, ... ])
+ *
+ *   utc = clock.toUTC(cameraTime)
+ *   pt = lookup.nearest(cameraTime, maxDist, { clock: clock })
+ *
+ *   secs = Clock.zoneOffset('Europe/London', utc)
+ *
+ * Models the difference between a camera's clock and the GPS (UTC) time of a track.
+ * Camera times are what the camera recorded, read as if they were UTC (which is what
+ * Exif.read() does when the camera didn't record its zone). They're converted by
+ *
+ *   1. taking off the zone the camera was set to: a numeric offset ('+05:30', '-0800',
+ *      or a number of hours) or an IANA zone name such as 'Europe/London' (named zones
+ *      need Intl support, and follow daylight saving);
+ *   2. adding offset + drift * (time - epoch) seconds for a clock that's wrong or
+ *      running fast or slow.
+ *
+ * Clock.fit() estimates offset (and, given two or more references, drift) from photos
+ * taken at known places: for each reference it finds the correction that puts the
+ * track's position at the photo's time closest to the known place, then fits a line
+ * through those corrections. The fitted clock has a refs array of
+ *   { time: corrected time, offset, dist: metres from the known place }
+ * for checking the result.
+ */
+
+if (typeof ByTime == 'undefined' && typeof require == 'function') {
+  var ByTime = require('./bytime.js').ByTime;
+}
+
+
+/*
+ * Clock constructor:
+ *
+ *   opts: zone (default UTC), offset (seconds), drift (seconds per second), epoch
+ *   (time at which the offset applies; any lookup time form)
+ */
+function Clock(opts) {
+  opts = opts || {};
+  this.zone = opts.zone == null ? null : opts.zone;
+  this.offset = opts.offset || 0;
+  this.drift = opts.drift || 0;
+  this.epoch = opts.epoch == null ? 0 : ByTime.toTime(opts.epoch);
+  Clock._zoneOffset(this.zone, 0);                // validates the zone
+}
+
+
+/*
+ * convert a camera time (any lookup time form) to UTC seconds since the epoch
+ */
+Clock.prototype.toUTC = function(time) {
+  var utc = Clock._fromLocal(this.zone, ByTime.toTime(time));
+  return utc + this.offset + this.drift * (utc - this.epoch);
+}
+
+
+/*
+ * offset in seconds east of UTC of a zone (null for UTC, a number of hours, '±HH[:MM]'
+ *   or an IANA zone name) at the given UTC time
+ */
+Clock.zoneOffset = function(zone, utc) {
+  return Clock._zoneOffset(zone, ByTime.toTime(utc));
+}
+
+
+/*
+ * estimate a clock from reference photos taken at known places
+ *
+ *   refs: [ { time: camera time, lat, lon } ] (degrees)
+ *   opts: zone the camera was set to; step, the spacing in seconds of the first coarse
+ *   search for each reference (default: the track's span / 2000, at least 1 second)
+ */
+Clock.fit = function(lookup, refs, opts) {
+  opts = opts || {};
+  if (!refs || !refs.length) throw new Error('Clock.fit needs at least one reference');
+  var range = lookup.timeRange();
+  if (!range) throw new Error('Clock.fit needs a track with points');
+
+  var zone = opts.zone == null ? null : opts.zone;
+  var step = opts.step || Math.max(1, (range[1] - range[0]) / 2000);
+  var fits = [];
+  for (var i = 0; i < refs.length; i++) {
+    var t = Clock._fromLocal(zone, ByTime.toTime(refs[i].time));
+    fits.push(Clock._bestOffset(lookup, range, t, refs[i], step));
+  }
+
+  // least squares line through the offsets; a single time can only give an offset
+  var n = fits.length, meanT = 0, meanO = 0, sTT = 0, sTO = 0;
+  for (var i = 0; i < n; i++) { meanT += fits[i].camera / n; meanO += fits[i].offset / n; }
+  for (var i = 0; i < n; i++) {
+    sTT += (fits[i].camera - meanT) * (fits[i].camera - meanT);
+    sTO += (fits[i].camera - meanT) * (fits[i].offset - meanO);
+  }
+  var clock = new Clock({ zone: zone, offset: meanO, drift: sTT > 0 ? sTO / sTT : 0, epoch: meanT });
+
+  clock.refs = [];
+  for (var i = 0; i < n; i++) {
+    var time = clock.toUTC(refs[i].time);
+    var pt = lookup.nearest(time, null, { clock: null });
+    clock.refs.push({ time: time, offset: time - fits[i].camera, dist: pt ? ByTime.havDistance(pt, refs[i]) : null });
+  }
+  return clock;
+}
+
+
+/*
+ * find the correction to add to UTC time t which brings the track closest to ref: a
+ *   coarse scan over the whole track then golden section search around the best sample
+ *   (internal use)
+ */
+Clock._bestOffset = function(lookup, range, t, ref, step) {
+  function dist(o) {
+    var pt = lookup.nearest(t + o, null, { clock: null });   // t is UTC already
+    return pt ? ByTime.havDistance(pt, ref) : Infinity;
+  }
+
+  var lo = range[0] - t, hi = range[1] - t;
+  var best = lo, bestDist = Infinity;
+  for (var o = lo; o <= hi + step/2; o += step) {
+    var d = dist(Math.min(o, hi));
+    if (d < bestDist) { best = Math.min(o, hi); bestDist = d; }
+  }
+
+  var a = Math.max(lo, best - step), b = Math.min(hi, best + step);
+  var g = (Math.sqrt(5) - 1) / 2;
+  var c = b - g*(b - a), e = a + g*(b - a), dc = dist(c), de = dist(e);
+  while (b - a > 0.01) {
+    if (dc < de) { b = e; e = c; de = dc; c = b - g*(b - a); dc = dist(c); }
+    else { a = c; c = e; dc = de; e = a + g*(b - a); de = dist(e); }
+  }
+  var o = (a + b) / 2;
+  if (dist(o) > bestDist) o = best;               // refinement found a worse local minimum
+
+  return { camera: t, offset: o };
+}
+
+
+/*
+ * convert a local wall-clock time in a zone to UTC (internal use)
+ */
+Clock._fromLocal = function(zone, local) {
+  var utc = local - Clock._zoneOffset(zone, local);
+  // the offset at the guessed instant may differ near a daylight saving change
+  return local - Clock._zoneOffset(zone, utc);
+}
+
+
+/*
+ * offset in seconds east of UTC of a zone at a UTC time (internal use)
+ */
+Clock._zoneOffset = function(zone, utc) {
+  if (zone == null) return 0;
+  if (typeof zone == 'number') {
+    if (!isFinite(zone) || Math.abs(zone) > 14) throw new Error('Bad time zone offset ' + zone);
+    return Math.round(zone * 3600);
+  }
+
+  var m = /^\s*(?:UTC|GMT)?\s*([+-])(\d\d?)(?::?(\d\d))?\s*$/i.exec(zone);
+  if (m) {
+    if (m[2] > 14 || m[3] > 59) throw new Error('Bad time zone offset ' + zone);
+    return (m[1] == '-' ? -1 : 1) * (m[2]*3600 + (m[3] || 0)*60);
+  }
+  if (/^\s*(UTC|GMT|Z)\s*$/i.test(zone)) return 0;
+
+  if (typeof Intl == 'undefined' || !Intl.DateTimeFormat) throw new Error('Named time zones need Intl support: ' + zone);
+  var fmt;
+  try {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone: zone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    });
+  } catch (e) {
+    throw new Error('Unknown time zone ' + zone);
+  }
+
+  var whole = Math.floor(utc), parts = fmt.formatToParts(new Date(whole * 1000)), f = {};
+  for (var i = 0; i < parts.length; i++) f[parts[i].type] = parts[i].value;
+  return Date.UTC(f.year, f.month - 1, f.day, f.hour, f.minute, f.second) / 1000 - whole;
+}
+
+
+if (typeof module != 'undefined' && module.exports) {
+  module.exports.Clock = Clock;
+}
@@ -0,0 +1,600 @@
+/*
+ * Coords - methods summary
+ *
+ *   p = Coords.parse('31U DQ 48251 11932', 'mgrs')
+ *   str = Coords.format(p, 'osgb', { precision: 4 })
+ *   p2 = Coords.convertDatum(p, 'WGS84', 'OSGB36')
+ *   res = Coords.nmeaLatLon('5128.6500', 'N', '00027.6833', 'W')
+ *
+ * Parses and formats positions in other notations, round-tripping through LatLong:
+ * parse() returns a LatLong (WGS84) and format() takes a LatLong or { lat, lon } in
+ * degrees (WGS84). Malformed input throws an Error.
+ *
+ * formats (Coords.formats), with what opts.precision means for each:
+ *   dd      - '51.477500, -0.461389'; decimal places (default 6)
+ *   dms     - '51°28′39″N, 000°27′41″W'; decimal places of the seconds (default 0)
+ *   ddm     - '51°28.650′N, 000°27.683′W'; decimal places of the minutes (default 3)
+ *   nmea    - '5128.6500,N,00027.6833,W' as in NMEA sentences; decimal places of the
+ *             minutes (default 4)
+ *   utm     - '30 N 676085 5705436'; decimal places of the metres (default 0)
+ *   mgrs    - '30U XC 76085 05436'; digits each of easting & northing, 1 (10km) to 5
+ *             (1m) (default 5)
+ *   osgb    - British National Grid reference 'TQ 06751 77031'; digits as for mgrs - or
+ *             with opts.numeric, full easting & northing '506751,177031'. Grid
+ *             references are on OSGB36, converted to and from WGS84 here
+ *   geohash - 'gcpsv4hk9'; characters (default 9). Parsing gives the cell's centre
+ *
+ * dd, dms & ddm parse anything LatLong.llToRad() reads, either part first if both have
+ * compass letters, checked strictly: bad values throw a LatLong.CoordinateError. UTM and
+ * MGRS are on WGS84 and observe the Norway & Svalbard zones.
+ *
+ * Datums (Coords.datums) are given by an ellipsoid in LatLong.datums and a Helmert
+ * transformation from WGS84; convertDatum() applies them to a point at zero height.
+ */
+
+if (typeof LatLong == 'undefined' && typeof require == 'function') {
+  var LatLong = require('./hav.js').LatLong;
+}
+
+
+var Coords = {};
+
+
+/*
+ * datums: the ellipsoid and the Helmert transformation from WGS84 to the datum
+ *   (tx, ty, tz metres; s ppm; rx, ry, rz arcseconds)
+ */
+Coords.datums = {
+  WGS84:  { ellipsoid: 'WGS84', helmert: null },
+  OSGB36: { ellipsoid: 'Airy1830',
+            helmert: { tx: -446.448, ty: 125.157, tz: -542.060, s: 20.4894,
+                       rx: -0.1502, ry: -0.2470, rz: -0.8421 } },
+  ED50:   { ellipsoid: 'Intl1924',
+            helmert: { tx: 89.5, ty: 93.8, tz: 123.1, s: -1.2, rx: 0, ry: 0, rz: 0.156 } }
+};
+
+
+/*
+ * notations: each has parse(text, opts) returning { lat, lon } in degrees and
+ *   format({ lat, lon }, opts) returning a string
+ */
+Coords.formats = {
+  dd: {
+    parse: function(text) { return Coords._latLonPair(text); },
+    format: function(ll, opts) {
+      var dp = Coords._precision(opts, 6);
+      return ll.lat.toFixed(dp) + ', ' + ll.lon.toFixed(dp);
+    }
+  },
+
+  dms: {
+    parse: function(text) { return Coords._latLonPair(text); },
+    format: function(ll, opts) {
+      var p = new LatLong(ll.lat, ll.lon), o = { format: 'dms', precision: Coords._precision(opts, 0) };
+      return p.latitude(o) + ', ' + p.longitude(o);
+    }
+  },
+
+  ddm: {
+    parse: function(text) { return Coords._latLonPair(text); },
+    format: function(ll, opts) {
+      var p = new LatLong(ll.lat, ll.lon), o = { format: 'ddm', precision: Coords._precision(opts, 3) };
+      return p.latitude(o) + ', ' + p.longitude(o);
+    }
+  },
+
+  nmea: {
+    parse: function(text) {
+      var f = String(text).replace(/^\s+|\s+$/g, '').split(/\s*,\s*/);
+      if (f.length != 4) throw new Error("Can't parse '" + text + "' as NMEA latitude,N,longitude,E");
+      var res = Coords.nmeaLatLon(f[0], f[1].toUpperCase(), f[2], f[3].toUpperCase());
+      if (typeof res == 'string') throw new Error("Can't parse '" + text + "' as NMEA: " + res);
+      return res;
+    },
+    format: function(ll, opts) {
+      var dp = Coords._precision(opts, 4);
+      var part = function(deg, digits) {
+        var p = new LatLong(deg, 0), d = LatLong._dms(p.lat, { format: 'ddm', precision: dp });
+        var m = /^(\d+)°([\d.]+)′$/.exec(d);
+        return m[1].slice(3 - digits) + m[2];
+      };
+      return part(ll.lat, 2) + ',' + (ll.lat < 0 ? 'S' : 'N') + ',' +
+             part(ll.lon, 3) + ',' + (ll.lon < 0 ? 'W' : 'E');
+    }
+  },
+
+  utm: {
+    parse: function(text) {
+      var m = /^\s*(\d{1,2})\s*([NS])\s+(\d+(?:\.\d*)?)\s*m?\s*E?\s+(\d+(?:\.\d*)?)\s*m?\s*N?\s*$/i.exec(text);
+      if (!m || m[1] < 1 || m[1] > 60) throw new Error("Can't parse '" + text + "' as UTM");
+      return Coords._fromUtm(Number(m[1]), m[2].toUpperCase(), Number(m[3]), Number(m[4]));
+    },
+    format: function(ll, opts) {
+      var utm = Coords._toUtm(ll.lat, ll.lon), dp = Coords._precision(opts, 0);
+      return utm.zone + ' ' + utm.hemisphere + ' ' + utm.easting.toFixed(dp) + ' ' + utm.northing.toFixed(dp);
+    }
+  },
+
+  mgrs: {
+    parse: function(text) {
+      var m = /^\s*(\d{1,2})\s*([C-HJ-NP-X])\s*([A-HJ-NP-Z])([A-HJ-NP-V])\s*(\d*)\s*(\d*)\s*$/i.exec(text);
+      if (!m) throw new Error("Can't parse '" + text + "' as MGRS");
+      var digits = Coords._gridDigits(m[5], m[6], text);
+      return Coords._fromMgrs(Number(m[1]), m[2].toUpperCase(), m[3].toUpperCase(), m[4].toUpperCase(),
+                              digits[0], digits[1]);
+    },
+    format: function(ll, opts) {
+      var digits = Coords._precision(opts, 5);
+      if (digits < 1 || digits > 5) throw new Error('MGRS precision must be 1 to 5 digits');
+      var utm = Coords._toUtm(ll.lat, ll.lon);
+      var e = utm.easting + Coords._gridGrace, n = utm.northing + Coords._gridGrace;
+      var band = Coords._latBands.charAt(Math.floor(ll.lat / 8 + 10));
+      var col = Math.floor(e / 100e3), row = Math.floor(n / 100e3) % 20;
+      var sq = Coords._e100k[(utm.zone - 1) % 3].charAt(col - 1) + Coords._n100k[(utm.zone - 1) % 2].charAt(row);
+      // MGRS truncates: the reference is the south-west corner of its square
+      return (utm.zone < 10 ? '0' : '') + utm.zone + band + ' ' + sq + ' ' +
+             Coords._gridPart(e, digits) + ' ' + Coords._gridPart(n, digits);
+    }
+  },
+
+  osgb: {
+    parse: function(text) {
+      var m = /^\s*(\d+(?:\.\d*)?)\s*,\s*(\d+(?:\.\d*)?)\s*$/.exec(text), e, n;
+      if (m) {
+        e = Number(m[1]); n = Number(m[2]);
+      } else {
+        m = /^\s*([HNOST])([A-HJ-Z])\s*(\d*)\s*(\d*)\s*$/i.exec(text);
+        if (!m) throw new Error("Can't parse '" + text + "' as an OS grid reference");
+        var l1 = m[1].toUpperCase().charCodeAt(0) - 65, l2 = m[2].toUpperCase().charCodeAt(0) - 65;
+        if (l1 > 7) l1--;                         // no I
+        if (l2 > 7) l2--;
+        var digits = Coords._gridDigits(m[3], m[4], text);
+        e = (((l1 - 2) % 5) * 5 + (l2 % 5)) * 100e3 + digits[0];
+        n = ((19 - Math.floor(l1 / 5) * 5) - Math.floor(l2 / 5)) * 100e3 + digits[1];
+      }
+      if (e < 0 || e >= 700e3 || n < 0 || n >= 1300e3) throw new Error("'" + text + "' is outside the OS grid");
+      return Coords._fromDatum(Coords._fromOsgb(e, n), 'OSGB36');
+    },
+    format: function(ll, opts) {
+      var grid = Coords._toOsgb(Coords._toDatum(ll, 'OSGB36'));
+      if (opts && opts.numeric) return grid.easting.toFixed(0) + ',' + grid.northing.toFixed(0);
+      var digits = Coords._precision(opts, 5);
+      if (digits < 1 || digits > 5) throw new Error('OS grid precision must be 1 to 5 digits');
+      var e = grid.easting + Coords._gridGrace, n = grid.northing + Coords._gridGrace;
+      var e100k = Math.floor(e / 100e3), n100k = Math.floor(n / 100e3);
+      if (e100k < 0 || e100k > 6 || n100k < 0 || n100k > 12) throw new Error('Position is outside the OS grid');
+      var l1 = (19 - n100k) - (19 - n100k) % 5 + Math.floor((e100k + 10) / 5);
+      var l2 = (19 - n100k) * 5 % 25 + e100k % 5;
+      if (l1 > 7) l1++;                           // no I
+      if (l2 > 7) l2++;
+      return String.fromCharCode(l1 + 65, l2 + 65) + ' ' +
+             Coords._gridPart(e, digits) + ' ' + Coords._gridPart(n, digits);
+    }
+  },
+
+  geohash: {
+    parse: function(text) {
+      var hash = String(text).replace(/^\s+|\s+$/g, '').toLowerCase(), even = true;
+      var lat = [ -90, 90 ], lon = [ -180, 180 ];
+      if (!hash) throw new Error("Can't parse '" + text + "' as a geohash");
+      for (var i = 0; i < hash.length; i++) {
+        var idx = Coords._base32.indexOf(hash.charAt(i));
+        if (idx < 0) throw new Error("Can't parse '" + text + "' as a geohash");
+        for (var bit = 4; bit >= 0; bit--) {
+          var range = even ? lon : lat, mid = (range[0] + range[1]) / 2;
+          range[(idx >> bit) & 1 ? 0 : 1] = mid;
+          even = !even;
+        }
+      }
+      return { lat: (lat[0] + lat[1]) / 2, lon: (lon[0] + lon[1]) / 2 };
+    },
+    format: function(ll, opts) {
+      var chars = Coords._precision(opts, 9), hash = '', even = true, idx = 0, bit = 0;
+      var lat = [ -90, 90 ], lon = [ -180, 180 ], lonVal = LatLong.wrapLon(ll.lon);
+      while (hash.length < chars) {
+        var range = even ? lon : lat, val = even ? lonVal : ll.lat, mid = (range[0] + range[1]) / 2;
+        idx <<= 1;
+        if (val >= mid) { idx |= 1; range[0] = mid; } else range[1] = mid;
+        even = !even;
+        if (++bit == 5) { hash += Coords._base32.charAt(idx); bit = 0; idx = 0; }
+      }
+      return hash;
+    }
+  }
+};
+
+
+/*
+ * parse a position in the given notation
+ */
+Coords.parse = function(text, format, opts) {
+  var ll = Coords._format(format).parse(text, opts || {});
+  if (!(Math.abs(ll.lat) <= 90 && Math.abs(ll.lon) <= 180)) throw new Error("'" + text + "' is out of range");
+  return new LatLong(ll.lat, ll.lon);
+}
+
+
+/*
+ * format a position in the given notation
+ */
+Coords.format = function(p, format, opts) {
+  return Coords._format(format).format(Coords._degrees(p), opts || {});
+}
+
+
+/*
+ * convert a point at zero height between datums, eg Coords.convertDatum(p, 'WGS84',
+ *   'OSGB36'): returns a LatLong
+ */
+Coords.convertDatum = function(p, from, to) {
+  var ll = Coords._degrees(p);
+  if (from != 'WGS84') ll = Coords._fromDatum(ll, from);
+  if (to != 'WGS84') ll = Coords._toDatum(ll, to);
+  return new LatLong(ll.lat, ll.lon);
+}
+
+
+/*
+ * NMEA ddmm.mmmm / dddmm.mmmm latitude & longitude with their N/S and E/W fields to
+ *   { lat, lon } in signed degrees, or a message saying what's wrong
+ */
+Coords.nmeaLatLon = function(lat, ns, lon, ew) {
+  var res = {};
+  var parts = [ [ 'lat', lat, ns, /^[NS]$/ ], [ 'lon', lon, ew, /^[EW]$/ ] ];
+  for (var i = 0; i < 2; i++) {
+    var name = parts[i][0], val = parts[i][1], dir = parts[i][2];
+    if (!/^\d+(\.\d*)?$/.test(val)) return 'bad ' + (i ? 'longitude' : 'latitude') + ' "' + val + '"';
+    if (!parts[i][3].test(dir)) return 'bad ' + (i ? 'longitude' : 'latitude') + ' direction "' + dir + '"';
+    var deg = Math.floor(val / 100), min = val - deg*100;
+    if (min >= 60) return 'bad ' + (i ? 'longitude' : 'latitude') + ' minutes "' + val + '"';
+    res[name] = (deg + min/60) * (dir == 'S' || dir == 'W' ? -1 : 1);
+  }
+  return res;
+}
+
+
+/*
+ * letters used by MGRS and geohashes (internal use)
+ */
+Coords._latBands = 'CDEFGHJKLMNPQRSTUVWXX';     // X is repeated for 80-84°N
+Coords._e100k = [ 'ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ' ];
+Coords._n100k = [ 'ABCDEFGHJKLMNPQRSTUV', 'FGHJKLMNPQRSTUVABCDE' ];
+Coords._base32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+
+/*
+ * metres added to a grid position before it's truncated to a reference, so a reference
+ *   parse() gives formats as itself - the round trip is a few millimetres out through
+ *   OSGB36 (internal use)
+ */
+Coords._gridGrace = 0.01;
+
+
+/*
+ * the named notation (internal use)
+ */
+Coords._format = function(format) {
+  if (!Coords.formats.hasOwnProperty(format)) throw new Error('Unknown coordinate format: ' + format);
+  return Coords.formats[format];
+}
+
+
+/*
+ * a 'lat, lon' pair in anything LatLong.llToRad() reads, checked strictly (internal use)
+ */
+Coords._latLonPair = function(text) {
+  var parts = String(text).split(/\s*[,;]\s*/), m;
+  // without a comma: split after the first compass letter, or at the one space
+  if (parts.length != 2) {
+    m = /^\s*(.*?[NSEW])\s*(\S.*[NSEW])\s*$/i.exec(text) || /^\s*(\S+)\s+(\S+)\s*$/.exec(text);
+    if (m) parts = [ m[1], m[2] ];
+  }
+  if (parts.length != 2) throw new Error("Can't parse '" + text + "' as latitude, longitude");
+  if (/[EW]\s*$/i.test(parts[0]) && /[NS]\s*$/i.test(parts[1])) parts.reverse();
+  return {
+    lat: LatLong.llToRad(parts[0], { strict: true, field: 'lat' }) * 180 / Math.PI,
+    lon: LatLong.llToRad(parts[1], { strict: true, field: 'lon' }) * 180 / Math.PI
+  };
+}
+
+
+/*
+ * { lat, lon } in degrees of a LatLong or { lat, lon } (internal use)
+ */
+Coords._degrees = function(p) {
+  if (p instanceof LatLong) return { lat: p.lat * 180 / Math.PI, lon: p.lon * 180 / Math.PI };
+  if (p && p.lat != null && p.lon != null) return { lat: Number(p.lat), lon: Number(p.lon) };
+  throw new Error("Don't know where " + (p == null ? '(undef)' : p) + ' is');
+}
+
+
+/*
+ * opts.precision or the default (internal use)
+ */
+Coords._precision = function(opts, def) {
+  return opts && opts.precision != null ? opts.precision : def;
+}
+
+
+/*
+ * the first digits of a grid coordinate within its 100km square (internal use)
+ */
+Coords._gridPart = function(metres, digits) {
+  var str = String(Math.floor((metres % 100e3) / Math.pow(10, 5 - digits)));
+  while (str.length < digits) str = '0' + str;
+  return str;
+}
+
+
+/*
+ * easting & northing in metres within a 100km square from the digits of a grid
+ *   reference - both halves the same length, or all run together (internal use)
+ */
+Coords._gridDigits = function(e, n, text) {
+  if (n == '' && e.length % 2 == 0) { n = e.slice(e.length / 2); e = e.slice(0, e.length / 2); }
+  if (e.length != n.length || e.length > 5) throw new Error("Bad digits in grid reference '" + text + "'");
+  return [ Number((e + '00000').slice(0, 5)), Number((n + '00000').slice(0, 5)) ];
+}
+
+
+/*
+ * WGS84 { lat, lon } to UTM { zone, hemisphere, easting, northing } by Karney's
+ *   extension of Krüger's series (internal use)
+ *
+ * from: Chris Veness, http://www.movable-type.co.uk/scripts/latlong-utm-mgrs.html
+ */
+Coords._toUtm = function(lat, lon) {
+  if (!(lat >= -80 && lat <= 84)) throw new Error('Latitude ' + lat + ' is outside UTM limits');
+  lon = LatLong.wrapLon(lon);
+  var zone = Math.floor((lon + 180) / 6) + 1;
+  if (zone > 60) zone = 1;
+
+  // Norway & Svalbard
+  var band = Coords._latBands.charAt(Math.floor(lat / 8 + 10));
+  if (zone == 31 && band == 'V' && lon >= 3) zone++;
+  if (band == 'X') {
+    if (zone == 32) zone = lon < 9 ? 31 : 33;
+    if (zone == 34) zone = lon < 21 ? 33 : 35;
+    if (zone == 36) zone = lon < 33 ? 35 : 37;
+  }
+
+  var tm = Coords._tm(), k0 = 0.9996, e = tm.e, n = tm.n;
+  var phi = lat * Math.PI / 180, lambda = (lon - ((zone - 1) * 6 - 180 + 3)) * Math.PI / 180;
+  var cosL = Math.cos(lambda), sinL = Math.sin(lambda);
+
+  var tau = Math.tan(phi), sigma = Math.sinh(e * Math.atanh(e * tau / Math.sqrt(1 + tau*tau)));
+  var tauP = tau * Math.sqrt(1 + sigma*sigma) - sigma * Math.sqrt(1 + tau*tau);
+  var xiP = Math.atan2(tauP, cosL), etaP = Math.asinh(sinL / Math.sqrt(tauP*tauP + cosL*cosL));
+
+  var xi = xiP, eta = etaP;
+  for (var j = 1; j <= 6; j++) {
+    xi += tm.alpha[j] * Math.sin(2*j*xiP) * Math.cosh(2*j*etaP);
+    eta += tm.alpha[j] * Math.cos(2*j*xiP) * Math.sinh(2*j*etaP);
+  }
+
+  var x = k0 * tm.A * eta + 500e3, y = k0 * tm.A * xi;
+  if (y < 0) y += 10000e3;                        // false northing in the south
+  return { zone: zone, hemisphere: lat >= 0 ? 'N' : 'S', easting: x, northing: y };
+}
+
+
+/*
+ * UTM to WGS84 { lat, lon } (internal use)
+ */
+Coords._fromUtm = function(zone, hemisphere, easting, northing) {
+  var tm = Coords._tm(), k0 = 0.9996, e = tm.e;
+  var x = easting - 500e3, y = hemisphere == 'S' ? northing - 10000e3 : northing;
+  var eta = x / (k0 * tm.A), xi = y / (k0 * tm.A);
+
+  var xiP = xi, etaP = eta;
+  for (var j = 1; j <= 6; j++) {
+    xiP -= tm.beta[j] * Math.sin(2*j*xi) * Math.cosh(2*j*eta);
+    etaP -= tm.beta[j] * Math.cos(2*j*xi) * Math.sinh(2*j*eta);
+  }
+
+  var sinhEtaP = Math.sinh(etaP), sinXiP = Math.sin(xiP), cosXiP = Math.cos(xiP);
+  var tauP = sinXiP / Math.sqrt(sinhEtaP*sinhEtaP + cosXiP*cosXiP);
+
+  // solve for tau by Newton-Raphson
+  var tau = tauP, dTau;
+  do {
+    var sigma = Math.sinh(e * Math.atanh(e * tau / Math.sqrt(1 + tau*tau)));
+    var tauI = tau * Math.sqrt(1 + sigma*sigma) - sigma * Math.sqrt(1 + tau*tau);
+    dTau = (tauP - tauI) / Math.sqrt(1 + tauI*tauI) * (1 + (1 - e*e) * tau*tau) / ((1 - e*e) * Math.sqrt(1 + tau*tau));
+    tau += dTau;
+  } while (Math.abs(dTau) > 1e-12);
+
+  var lat = Math.atan(tau) * 180 / Math.PI;
+  var lon = Math.atan2(sinhEtaP, cosXiP) * 180 / Math.PI + ((zone - 1) * 6 - 180 + 3);
+  return { lat: lat, lon: LatLong.wrapLon(lon) };
+}
+
+
+/*
+ * MGRS grid square & digits to WGS84 { lat, lon } (internal use)
+ */
+Coords._fromMgrs = function(zone, band, e100k, n100k, easting, northing) {
+  var col = Coords._e100k[(zone - 1) % 3].indexOf(e100k) + 1;
+  var row = Coords._n100k[(zone - 1) % 2].indexOf(n100k);
+  if (col < 1 || row < 0) throw new Error('Bad MGRS grid square ' + e100k + n100k + ' for zone ' + zone);
+
+  // the 100km row letters repeat every 2000km: start from the bottom of the band
+  var bandLat = (Coords._latBands.indexOf(band) - 10) * 8;
+  var bandNorthing = Math.floor(Coords._toUtm(bandLat, (zone - 1) * 6 - 180 + 3).northing / 100e3) * 100e3;
+  var n2M = 0;
+  while (n2M + row * 100e3 + northing < bandNorthing) n2M += 2000e3;
+
+  return Coords._fromUtm(zone, band >= 'N' ? 'N' : 'S', col * 100e3 + easting, n2M + row * 100e3 + northing);
+}
+
+
+/*
+ * OSGB36 { lat, lon } to National Grid { easting, northing } (internal use)
+ *
+ * from: Ordnance Survey, 'A guide to coordinate systems in Great Britain', annexe C
+ */
+Coords._toOsgb = function(ll) {
+  var g = Coords._osgb(), a = g.a, b = g.b, F0 = g.F0, e2 = g.e2;
+  var phi = ll.lat * Math.PI / 180, lambda = ll.lon * Math.PI / 180;
+  var sinPhi = Math.sin(phi), cosPhi = Math.cos(phi), tanPhi = Math.tan(phi);
+
+  var nu = a * F0 / Math.sqrt(1 - e2 * sinPhi*sinPhi);
+  var rho = a * F0 * (1 - e2) / Math.pow(1 - e2 * sinPhi*sinPhi, 1.5);
+  var eta2 = nu / rho - 1;
+  var M = Coords._osgbMeridional(phi);
+
+  var cos3 = cosPhi*cosPhi*cosPhi, cos5 = cos3*cosPhi*cosPhi, tan2 = tanPhi*tanPhi, tan4 = tan2*tan2;
+  var I = M + g.N0;
+  var II = nu / 2 * sinPhi * cosPhi;
+  var III = nu / 24 * sinPhi * cos3 * (5 - tan2 + 9*eta2);
+  var IIIA = nu / 720 * sinPhi * cos5 * (61 - 58*tan2 + tan4);
+  var IV = nu * cosPhi;
+  var V = nu / 6 * cos3 * (nu/rho - tan2);
+  var VI = nu / 120 * cos5 * (5 - 18*tan2 + tan4 + 14*eta2 - 58*tan2*eta2);
+
+  var dL = lambda - g.lambda0, dL2 = dL*dL;
+  return {
+    easting: g.E0 + IV*dL + V*dL2*dL + VI*dL2*dL2*dL,
+    northing: I + II*dL2 + III*dL2*dL2 + IIIA*dL2*dL2*dL2
+  };
+}
+
+
+/*
+ * National Grid easting & northing to OSGB36 { lat, lon } (internal use)
+ */
+Coords._fromOsgb = function(E, N) {
+  var g = Coords._osgb(), a = g.a, F0 = g.F0, e2 = g.e2;
+  var phi = g.phi0, M = 0;
+  do {
+    phi = (N - g.N0 - M) / (a * F0) + phi;
+    M = Coords._osgbMeridional(phi);
+  } while (Math.abs(N - g.N0 - M) >= 0.00001);   // ie 0.01mm
+
+  var sinPhi = Math.sin(phi), cosPhi = Math.cos(phi), tanPhi = Math.tan(phi);
+  var nu = a * F0 / Math.sqrt(1 - e2 * sinPhi*sinPhi);
+  var rho = a * F0 * (1 - e2) / Math.pow(1 - e2 * sinPhi*sinPhi, 1.5);
+  var eta2 = nu / rho - 1;
+
+  var tan2 = tanPhi*tanPhi, tan4 = tan2*tan2, tan6 = tan4*tan2, sec = 1 / cosPhi;
+  var nu3 = nu*nu*nu, nu5 = nu3*nu*nu, nu7 = nu5*nu*nu;
+  var VII = tanPhi / (2*rho*nu);
+  var VIII = tanPhi / (24*rho*nu3) * (5 + 3*tan2 + eta2 - 9*tan2*eta2);
+  var IX = tanPhi / (720*rho*nu5) * (61 + 90*tan2 + 45*tan4);
+  var X = sec / nu;
+  var XI = sec / (6*nu3) * (nu/rho + 2*tan2);
+  var XII = sec / (120*nu5) * (5 + 28*tan2 + 24*tan4);
+  var XIIA = sec / (5040*nu7) * (61 + 662*tan2 + 1320*tan4 + 720*tan6);
+
+  var dE = E - g.E0, dE2 = dE*dE;
+  phi = phi - VII*dE2 + VIII*dE2*dE2 - IX*dE2*dE2*dE2;
+  var lambda = g.lambda0 + X*dE - XI*dE2*dE + XII*dE2*dE2*dE - XIIA*dE2*dE2*dE2*dE;
+  return { lat: phi * 180 / Math.PI, lon: lambda * 180 / Math.PI };
+}
+
+
+/*
+ * meridional arc for the National Grid (internal use)
+ */
+Coords._osgbMeridional = function(phi) {
+  var g = Coords._osgb(), n = g.n, n2 = n*n, n3 = n2*n, phi0 = g.phi0;
+  var Ma = (1 + n + (5/4)*n2 + (5/4)*n3) * (phi - phi0);
+  var Mb = (3*n + 3*n2 + (21/8)*n3) * Math.sin(phi - phi0) * Math.cos(phi + phi0);
+  var Mc = ((15/8)*n2 + (15/8)*n3) * Math.sin(2*(phi - phi0)) * Math.cos(2*(phi + phi0));
+  var Md = (35/24)*n3 * Math.sin(3*(phi - phi0)) * Math.cos(3*(phi + phi0));
+  return g.b * g.F0 * (Ma - Mb + Mc - Md);
+}
+
+
+/*
+ * National Grid projection constants (internal use)
+ */
+Coords._osgb = function() {
+  var ell = LatLong.datums.Airy1830, a = ell.a, b = ell.b;
+  return {
+    a: a, b: b, F0: 0.9996012717, e2: 1 - (b*b) / (a*a), n: (a - b) / (a + b),
+    phi0: 49 * Math.PI / 180, lambda0: -2 * Math.PI / 180, N0: -100000, E0: 400000
+  };
+}
+
+
+/*
+ * transverse Mercator series for WGS84 (internal use)
+ */
+Coords._tm = function() {
+  var f = LatLong.datums.WGS84.f, a = LatLong.datums.WGS84.a;
+  var e = Math.sqrt(f * (2 - f)), n = f / (2 - f);
+  var n2 = n*n, n3 = n*n2, n4 = n*n3, n5 = n*n4, n6 = n*n5;
+  return {
+    e: e, n: n,
+    A: a / (1 + n) * (1 + 1/4*n2 + 1/64*n4 + 1/256*n6),
+    alpha: [ null,
+      1/2*n - 2/3*n2 + 5/16*n3 + 41/180*n4 - 127/288*n5 + 7891/37800*n6,
+      13/48*n2 - 3/5*n3 + 557/1440*n4 + 281/630*n5 - 1983433/1935360*n6,
+      61/240*n3 - 103/140*n4 + 15061/26880*n5 + 167603/181440*n6,
+      49561/161280*n4 - 179/168*n5 + 6601661/7257600*n6,
+      34729/80640*n5 - 3418889/1995840*n6,
+      212378941/319334400*n6 ],
+    beta: [ null,
+      1/2*n - 2/3*n2 + 37/96*n3 - 1/360*n4 - 81/512*n5 + 96199/604800*n6,
+      1/48*n2 + 1/15*n3 - 437/1440*n4 + 46/105*n5 - 1118711/3870720*n6,
+      17/480*n3 - 37/840*n4 - 209/4480*n5 + 5569/90720*n6,
+      4397/161280*n4 - 11/504*n5 - 830251/7257600*n6,
+      4583/161280*n5 - 108847/3991680*n6,
+      20648693/638668800*n6 ]
+  };
+}
+
+
+/*
+ * WGS84 { lat, lon } to the named datum (internal use)
+ */
+Coords._toDatum = function(ll, datum) {
+  return Coords._helmert(ll, 'WGS84', datum, 1);
+}
+
+
+/*
+ * { lat, lon } on the named datum to WGS84 (internal use)
+ */
+Coords._fromDatum = function(ll, datum) {
+  return Coords._helmert(ll, datum, 'WGS84', -1);
+}
+
+
+/*
+ * apply the Helmert transformation of whichever of from & to isn't WGS84, forwards
+ *   (sign 1) or in reverse (-1) (internal use)
+ */
+Coords._helmert = function(ll, from, to, sign) {
+  var d = Coords.datums[sign > 0 ? to : from];
+  if (!d || !Coords.datums[from] || !Coords.datums[to]) throw new Error('Unknown datum ' + (Coords.datums[from] ? to : from));
+  if (!d.helmert) return { lat: ll.lat, lon: ll.lon };
+
+  // to geocentric cartesian on the source ellipsoid
+  var src = LatLong.datums[Coords.datums[from].ellipsoid], dst = LatLong.datums[Coords.datums[to].ellipsoid];
+  var phi = ll.lat * Math.PI / 180, lambda = ll.lon * Math.PI / 180;
+  var e2 = src.f * (2 - src.f), nu = src.a / Math.sqrt(1 - e2 * Math.sin(phi) * Math.sin(phi));
+  var x = nu * Math.cos(phi) * Math.cos(lambda), y = nu * Math.cos(phi) * Math.sin(lambda);
+  var z = nu * (1 - e2) * Math.sin(phi);
+
+  // transform
+  var h = d.helmert, sec = Math.PI / (180 * 3600);
+  var s1 = 1 + sign * h.s / 1e6, rx = sign * h.rx * sec, ry = sign * h.ry * sec, rz = sign * h.rz * sec;
+  var x2 = sign * h.tx + x * s1 - y * rz + z * ry;
+  var y2 = sign * h.ty + x * rz + y * s1 - z * rx;
+  var z2 = sign * h.tz - x * ry + y * rx + z * s1;
+
+  // back to latitude & longitude on the destination ellipsoid (Bowring)
+  var a = dst.a, b = dst.b, e2d = dst.f * (2 - dst.f), eps2 = e2d / (1 - e2d);
+  var p = Math.sqrt(x2*x2 + y2*y2), R = Math.sqrt(p*p + z2*z2);
+  var tanBeta = (b * z2) / (a * p) * (1 + eps2 * b / R);
+  var sinBeta = tanBeta / Math.sqrt(1 + tanBeta*tanBeta), cosBeta = sinBeta / tanBeta;
+  var lat = isNaN(cosBeta) ? 0 : Math.atan2(z2 + eps2 * b * sinBeta*sinBeta*sinBeta, p - e2d * a * cosBeta*cosBeta*cosBeta);
+  return { lat: lat * 180 / Math.PI, lon: Math.atan2(y2, x2) * 180 / Math.PI };
+}
+
+
+if (typeof module != 'undefined' && module.exports) {
+  module.exports.Coords = Coords;
+}
@@ -0,0 +1,523 @@
+/*
+ * Exif & Geotagger - methods summary
+ *
+ *   info = Exif.read(bytes)
+ *   bytes2 = Exif.writeGPS(bytes, { lat: 54.29, lon: -2.02, time: 1172224800, ele: 120, error: 8 })
+ *
+ *   tagger = new Geotagger(lookup, { maxDist: 50, dryRun: true, geocoder: new Geocoder() })
+ *   entry = tagger.tag(name, bytes)
+ *   text = tagger.report()
+ *
+ * bytes is a Uint8Array (a node Buffer will do) holding a JPEG file. Exif.read() returns
+ *   {
+ *     dateTimeOriginal: '2007:02:23 10:15:00', subSecTimeOriginal: '25',
+ *     offsetTimeOriginal: '+01:00', time: 1172221200.25,
+ *     gps: { lat, lon, ele, time, error } or null
+ *   }
+ * where time is seconds since the epoch - taken as UTC when the camera didn't record
+ * its zone - and any string tags missing from the file are null.
+ *
+ * Exif.writeGPS() returns a copy of the file with GPSLatitude, GPSLongitude, GPSAltitude,
+ * GPSTimeStamp, GPSDateStamp and GPSHPositioningError set, replacing any GPS tags already
+ * there. The rest of the EXIF block (maker notes included) is left where it is: IFD0 is
+ * rewritten after it pointing at a new GPS IFD, and the old IFD0 and GPS IFD stay behind
+ * as unused bytes. A file without EXIF gets a new APP1 segment.
+ *
+ * Geotagger looks up each photo's time with ByTime.lookup() and tags it, or in dryRun
+ * mode just records what it would have done. Photos whose nearest real fix is more than
+ * maxDist metres from the computed position are rejected, like ByTime's maxDist. The
+ * lookup's error estimate is written as GPSHPositioningError. Given a Geocoder, each
+ * located photo's entry also gets the nearest place (within placeDist metres, if set),
+ * whose name and country can go in the photo's IPTC/XMP City and Country fields.
+ */
+
+
+var Exif = {};
+
+
+/*
+ * EXIF tags used here
+ */
+Exif.TAGS = {
+  ExifIFD: 0x8769, GPSIFD: 0x8825,
+  DateTimeOriginal: 0x9003, OffsetTimeOriginal: 0x9011, SubSecTimeOriginal: 0x9291,
+  GPSVersionID: 0x0000, GPSLatitudeRef: 0x0001, GPSLatitude: 0x0002, GPSLongitudeRef: 0x0003,
+  GPSLongitude: 0x0004, GPSAltitudeRef: 0x0005, GPSAltitude: 0x0006, GPSTimeStamp: 0x0007,
+  GPSDateStamp: 0x001D, GPSHPositioningError: 0x001F
+};
+
+
+/*
+ * size in bytes of each TIFF field type
+ */
+Exif.TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+
+/*
+ * read the photo timestamp and any GPS position from a JPEG
+ */
+Exif.read = function(bytes) {
+  var info = { dateTimeOriginal: null, subSecTimeOriginal: null, offsetTimeOriginal: null, time: null, gps: null };
+  var tiff = Exif._tiff(bytes, Exif._segments(bytes));
+  if (!tiff) return info;
+
+  var ifd0 = Exif._ifd(tiff, tiff.ifd0);
+  var exifPtr = Exif._find(ifd0.entries, Exif.TAGS.ExifIFD);
+  if (exifPtr) {
+    var exif = Exif._ifd(tiff, Exif._value(tiff, exifPtr)[0]).entries;
+    info.dateTimeOriginal = Exif._string(tiff, Exif._find(exif, Exif.TAGS.DateTimeOriginal));
+    info.subSecTimeOriginal = Exif._string(tiff, Exif._find(exif, Exif.TAGS.SubSecTimeOriginal));
+    info.offsetTimeOriginal = Exif._string(tiff, Exif._find(exif, Exif.TAGS.OffsetTimeOriginal));
+    info.time = Exif.parseTime(info.dateTimeOriginal, info.subSecTimeOriginal, info.offsetTimeOriginal);
+  }
+
+  var gpsPtr = Exif._find(ifd0.entries, Exif.TAGS.GPSIFD);
+  if (gpsPtr) info.gps = Exif._readGPS(tiff, Exif._ifd(tiff, Exif._value(tiff, gpsPtr)[0]).entries);
+
+  return info;
+}
+
+
+/*
+ * convert EXIF 'YYYY:MM:DD HH:MM:SS' plus optional sub-seconds and '+HH:MM' offset to
+ *   seconds since the epoch; without an offset the time is taken as UTC. Returns null
+ *   if there's no usable date.
+ */
+Exif.parseTime = function(dateTime, subSec, offset) {
+  var m = /^\s*(\d{4}):(\d\d):(\d\d) (\d\d):(\d\d):(\d\d)/.exec(dateTime || '');
+  if (!m || m[1] == 0) return null;               // cameras write 0000:00:00 00:00:00 when unset
+  var time = Date.UTC(m[1], m[2]-1, m[3], m[4], m[5], m[6]) / 1000;
+  if (subSec && /^\s*\d+\s*$/.test(subSec)) time += parseFloat('0.' + subSec.replace(/\s/g, ''));
+  var z = /^\s*([+-])(\d\d):(\d\d)/.exec(offset || '');
+  if (z) time -= (z[1] == '-' ? -1 : 1) * (z[2]*3600 + z[3]*60);
+  return time;
+}
+
+
+/*
+ * return a copy of the JPEG with its GPS tags set from pos = { lat, lon, time, ele, error }
+ *   (degrees, seconds since the epoch, metres, metres; ele, time and error optional)
+ */
+Exif.writeGPS = function(bytes, pos) {
+  var segs = Exif._segments(bytes);
+  var tiff = Exif._tiff(bytes, segs);
+  var little = tiff ? tiff.little : false;
+  var out = new Exif._Buffer(little);
+  var ifd0;
+
+  if (tiff) {
+    for (var i = 0; i < tiff.length; i++) out.u8(bytes[tiff.start + i]);
+    ifd0 = Exif._ifd(tiff, tiff.ifd0);
+  } else {
+    out.bytes(little ? [ 0x49, 0x49, 42, 0 ] : [ 0x4D, 0x4D, 0, 42 ]);
+    out.u32(0);                                   // IFD0 offset, set below
+    ifd0 = { entries: [], next: 0 };
+  }
+  out.align();
+
+  // GPS IFD goes first, then IFD0 pointing at it
+  var gpsOffset = out.length();
+  Exif._writeIFD(out, Exif._gpsEntries(pos), 0);
+
+  var entries = [];
+  for (var i = 0; i < ifd0.entries.length; i++) {
+    var e = ifd0.entries[i];
+    if (e.tag != Exif.TAGS.GPSIFD) entries.push({ tag: e.tag, type: e.type, count: e.count, raw: Exif._raw(tiff, e) });
+  }
+  entries.push({ tag: Exif.TAGS.GPSIFD, type: 4, count: 1, value: [ gpsOffset ] });
+  entries.sort(function(a, b) { return a.tag - b.tag; });
+
+  var ifd0Offset = out.length();
+  Exif._writeIFD(out, entries, ifd0.next);
+  out.set32(4, ifd0Offset);
+
+  // wrap it up as an APP1 segment
+  var tiffBytes = out.array();
+  if (tiffBytes.length + 8 > 0xFFFF) throw new Error('EXIF data too large for an APP1 segment');
+  var app1 = [ 0xFF, 0xE1, (tiffBytes.length + 8) >> 8, (tiffBytes.length + 8) & 0xFF,
+               0x45, 0x78, 0x69, 0x66, 0, 0 ];    // 'Exif\0\0'
+
+  // replace the old segment, or insert after SOI (and JFIF APP0 if there is one)
+  var from, to;
+  if (tiff) {
+    from = tiff.seg.start; to = tiff.seg.end;
+  } else {
+    from = to = (segs.length && segs[0].marker == 0xE0) ? segs[0].end : 2;
+  }
+
+  var res = new Uint8Array(bytes.length - (to - from) + app1.length + tiffBytes.length);
+  res.set(bytes.subarray(0, from), 0);
+  res.set(app1, from);
+  res.set(tiffBytes, from + app1.length);
+  res.set(bytes.subarray(to), from + app1.length + tiffBytes.length);
+  return res;
+}
+
+
+/*
+ * Geotagger constructor:
+ *
+ *   lookup is a ByTime index or a TrackStore; opts are maxDist (metres) and dryRun,
+ *   plus any options to pass on to lookup.lookup()
+ */
+function Geotagger(lookup, opts) {
+  this.lookup = lookup;
+  this.opts = opts || {};
+  this.results = [];
+}
+
+
+/*
+ * locate one photo and tag it; returns (and records) a report entry
+ *
+ *   { name, time, status, result, place, message, data }
+ *
+ * where status is one of 'tagged', 'dry run' (would have been tagged), 'no time' (no
+ * DateTimeOriginal), 'no fix' (time outside the track), 'too far' (nearest fix beyond
+ * maxDist) or 'error' (unreadable file, with message); result is the lookup result, place
+ * the nearest place from opts.geocoder (or null) and data the tagged file.
+ */
+Geotagger.prototype.tag = function(name, bytes) {
+  var entry = { name: name, time: null, status: null, result: null, place: null, message: null, data: null };
+  this.results.push(entry);
+
+  try {
+    entry.time = Exif.read(bytes).time;
+    if (entry.time == null) return Geotagger._status(entry, 'no time');
+
+    entry.result = this.lookup.lookup(entry.time, null, this.opts);
+    if (!entry.result) return Geotagger._status(entry, 'no fix');
+    if (this.opts.maxDist != null && entry.result.dist > this.opts.maxDist)
+      return Geotagger._status(entry, 'too far');
+    if (this.opts.geocoder)
+      entry.place = this.opts.geocoder.nearest(entry.result, 1, this.opts.placeDist)[0] || null;
+    if (this.opts.dryRun) return Geotagger._status(entry, 'dry run');
+
+    var best = entry.result.best;
+    entry.data = Exif.writeGPS(bytes, {
+      lat: best.lat, lon: best.lon, time: best.time, ele: best.ele, error: entry.result.error
+    });
+    return Geotagger._status(entry, 'tagged');
+  } catch (e) {
+    entry.message = e.message;
+    return Geotagger._status(entry, 'error');
+  }
+}
+
+
+/*
+ * one line per photo: name, status, position, distance to the nearest fix and place
+ */
+Geotagger.prototype.report = function() {
+  var lines = [];
+  for (var i = 0; i < this.results.length; i++) {
+    var e = this.results[i], line = e.name + ': ' + e.status;
+    if (e.result) {
+      line += ' ' + e.result.best.lat.toFixed(6) + ',' + e.result.best.lon.toFixed(6) +
+              ' (' + (e.result.exact ? 'exact' : e.result.extrapolated ? 'extrapolated' : 'interpolated') + ', ' + e.result.dist.toFixed(1) + ' m from nearest fix' +
+              (e.result.lowConfidence ? ', across a gap - low confidence' : '') + ')';
+    }
+    if (e.place) {
+      line += ' near ' + e.place.name + (e.place.country ? ', ' + e.place.country : '') +
+              ' (' + (e.place.dist / 1000).toFixed(1) + ' km)';
+    }
+    if (e.message) line += ' - ' + e.message;
+    lines.push(line);
+  }
+  return lines.join('\n') + (lines.length ? '\n' : '');
+}
+
+
+Geotagger._status = function(entry, status) {
+  entry.status = status;
+  return entry;
+}
+
+
+/*
+ * list the JPEG segments up to the start of scan (internal use)
+ */
+Exif._segments = function(bytes) {
+  if (bytes.length < 4 || bytes[0] != 0xFF || bytes[1] != 0xD8) throw new Error('Not a JPEG file');
+  var segs = [], pos = 2;
+  while (pos + 4 <= bytes.length) {
+    if (bytes[pos] != 0xFF) throw new Error('Corrupt JPEG: no marker at offset ' + pos);
+    var marker = bytes[pos+1];
+    if (marker == 0xFF) { pos++; continue; }       // fill byte
+    if (marker == 0xDA || marker == 0xD9) break;  // start of scan / end of image
+    var len = (bytes[pos+2] << 8) | bytes[pos+3];
+    if (len < 2 || pos + 2 + len > bytes.length) throw new Error('Corrupt JPEG: bad segment length at offset ' + pos);
+    segs.push({ marker: marker, start: pos, data: pos + 4, end: pos + 2 + len });
+    pos += 2 + len;
+  }
+  return segs;
+}
+
+
+/*
+ * find the EXIF APP1 segment and its TIFF header (internal use)
+ */
+Exif._tiff = function(bytes, segs) {
+  for (var i = 0; i < segs.length; i++) {
+    var s = segs[i], d = s.data;
+    if (s.marker != 0xE1 || s.end - d < 14) continue;
+    if (String.fromCharCode(bytes[d], bytes[d+1], bytes[d+2], bytes[d+3]) != 'Exif' || bytes[d+4] || bytes[d+5]) continue;
+
+    var tiff = { bytes: bytes, seg: s, start: d + 6, length: s.end - d - 6 };
+    var order = String.fromCharCode(bytes[tiff.start], bytes[tiff.start+1]);
+    if (order != 'II' && order != 'MM') throw new Error('Corrupt EXIF: bad byte order');
+    tiff.little = order == 'II';
+    if (Exif._u16(tiff, 2) != 42) throw new Error('Corrupt EXIF: bad TIFF header');
+    tiff.ifd0 = Exif._u32(tiff, 4);
+    return tiff;
+  }
+  return null;
+}
+
+
+/*
+ * read the entries of the IFD at offset (relative to the TIFF header) (internal use)
+ */
+Exif._ifd = function(tiff, offset) {
+  var n = Exif._u16(tiff, offset), entries = [];
+  for (var i = 0; i < n; i++) {
+    var p = offset + 2 + i*12;
+    entries.push({ tag: Exif._u16(tiff, p), type: Exif._u16(tiff, p+2), count: Exif._u32(tiff, p+4), pos: p + 8 });
+  }
+  return { entries: entries, next: Exif._u32(tiff, offset + 2 + n*12) };
+}
+
+
+Exif._find = function(entries, tag) {
+  for (var i = 0; i < entries.length; i++) if (entries[i].tag == tag) return entries[i];
+  return null;
+}
+
+
+/*
+ * offset of an entry's value: in the entry if it fits in 4 bytes, else where it points
+ *   (internal use)
+ */
+Exif._valueOffset = function(tiff, e) {
+  var size = (Exif.TYPE_SIZE[e.type] || 1) * e.count;
+  var off = size <= 4 ? e.pos : Exif._u32(tiff, e.pos);
+  if (off + size > tiff.length) throw new Error('Corrupt EXIF: value of tag ' + e.tag + ' out of bounds');
+  return off;
+}
+
+
+/*
+ * the 4 bytes of an entry's value field, as stored (internal use)
+ */
+Exif._raw = function(tiff, e) {
+  var res = [];
+  for (var i = 0; i < 4; i++) res.push(tiff.bytes[tiff.start + e.pos + i]);
+  return res;
+}
+
+
+/*
+ * numeric values of an entry: rationals as numbers (internal use)
+ */
+Exif._value = function(tiff, e) {
+  var off = Exif._valueOffset(tiff, e), res = [];
+  for (var i = 0; i < e.count; i++) {
+    switch (e.type) {
+      case 3: res.push(Exif._u16(tiff, off + i*2)); break;
+      case 4: res.push(Exif._u32(tiff, off + i*4)); break;
+      case 5: res.push(Exif._u32(tiff, off + i*8) / Exif._u32(tiff, off + i*8 + 4)); break;
+      default: res.push(tiff.bytes[tiff.start + off + i]);
+    }
+  }
+  return res;
+}
+
+
+/*
+ * ASCII value of an entry, without the trailing NUL; null if there's no entry (internal use)
+ */
+Exif._string = function(tiff, e) {
+  if (!e) return null;
+  var off = Exif._valueOffset(tiff, e), str = '';
+  for (var i = 0; i < e.count; i++) {
+    var c = tiff.bytes[tiff.start + off + i];
+    if (c == 0) break;
+    str += String.fromCharCode(c);
+  }
+  return str;
+}
+
+
+/*
+ * position from the entries of a GPS IFD, or null without latitude & longitude (internal use)
+ */
+Exif._readGPS = function(tiff, entries) {
+  var t = Exif.TAGS;
+  var lat = Exif._find(entries, t.GPSLatitude), lon = Exif._find(entries, t.GPSLongitude);
+  if (!lat || !lon) return null;
+
+  function dms(e, ref) {
+    var v = Exif._value(tiff, e);
+    var deg = v[0] + (v[1] || 0)/60 + (v[2] || 0)/3600;
+    return /[SW]/.test(Exif._string(tiff, Exif._find(entries, ref)) || '') ? -deg : deg;
+  }
+
+  var gps = { lat: dms(lat, t.GPSLatitudeRef), lon: dms(lon, t.GPSLongitudeRef), ele: null, time: null, error: null };
+  var alt = Exif._find(entries, t.GPSAltitude);
+  if (alt) {
+    var ref = Exif._find(entries, t.GPSAltitudeRef);
+    gps.ele = Exif._value(tiff, alt)[0] * (ref && Exif._value(tiff, ref)[0] == 1 ? -1 : 1);
+  }
+  var err = Exif._find(entries, t.GPSHPositioningError);
+  if (err) gps.error = Exif._value(tiff, err)[0];
+  var ts = Exif._find(entries, t.GPSTimeStamp), ds = Exif._string(tiff, Exif._find(entries, t.GPSDateStamp));
+  if (ts && ds) {
+    var hms = Exif._value(tiff, ts);
+    gps.time = Exif.parseTime(ds + ' 00:00:00') + hms[0]*3600 + hms[1]*60 + hms[2];
+  }
+  return gps;
+}
+
+
+/*
+ * GPS IFD entries for a position (internal use)
+ */
+Exif._gpsEntries = function(pos) {
+  var t = Exif.TAGS;
+  var entries = [
+    { tag: t.GPSVersionID, type: 1, count: 4, value: [ 2, 3, 0, 0 ] },
+    { tag: t.GPSLatitudeRef, type: 2, count: 2, value: [ (pos.lat < 0 ? 'S' : 'N').charCodeAt(0), 0 ] },
+    { tag: t.GPSLatitude, type: 5, count: 3, value: Exif._dmsRationals(pos.lat) },
+    { tag: t.GPSLongitudeRef, type: 2, count: 2, value: [ (pos.lon < 0 ? 'W' : 'E').charCodeAt(0), 0 ] },
+    { tag: t.GPSLongitude, type: 5, count: 3, value: Exif._dmsRationals(pos.lon) }
+  ];
+  if (pos.ele != null) {
+    entries.push({ tag: t.GPSAltitudeRef, type: 1, count: 1, value: [ pos.ele < 0 ? 1 : 0 ] });
+    entries.push({ tag: t.GPSAltitude, type: 5, count: 1, value: [ Math.round(Math.abs(pos.ele) * 100), 100 ] });
+  }
+  if (pos.time != null) {
+    var d = new Date(Math.round(pos.time * 1000));
+    var ms = d.getUTCSeconds() * 1000 + d.getUTCMilliseconds();
+    entries.push({ tag: t.GPSTimeStamp, type: 5, count: 3, value: [ d.getUTCHours(), 1, d.getUTCMinutes(), 1, ms, 1000 ] });
+    var date = d.toISOString().slice(0, 10).replace(/-/g, ':'), chars = [];
+    for (var i = 0; i < date.length; i++) chars.push(date.charCodeAt(i));
+    chars.push(0);
+    entries.push({ tag: t.GPSDateStamp, type: 2, count: 11, value: chars });
+  }
+  if (pos.error != null) {
+    entries.push({ tag: t.GPSHPositioningError, type: 5, count: 1, value: [ Math.round(pos.error * 100), 100 ] });
+  }
+  return entries;
+}
+
+
+/*
+ * signed decimal degrees to unsigned deg/min/sec rationals, to the microsecond (internal use)
+ */
+Exif._dmsRationals = function(deg) {
+  var us = Math.round(Math.abs(deg) * 3600e6);
+  var d = Math.floor(us / 3600e6);
+  us -= d * 3600e6;
+  var m = Math.floor(us / 60e6);
+  us -= m * 60e6;
+  return [ d, 1, m, 1, us, 1000000 ];
+}
+
+
+/*
+ * append an IFD, with its out-of-line values after it (internal use)
+ *
+ *   entries have tag, type and count plus either raw (the 4 byte field, copied as is)
+ *   or value (array of numbers: bytes, shorts, longs or numerator/denominator pairs)
+ */
+Exif._writeIFD = function(out, entries, next) {
+  var start = out.length();
+  var data = start + 2 + entries.length*12 + 4;
+  var deferred = [];
+
+  out.u16(entries.length);
+  for (var i = 0; i < entries.length; i++) {
+    var e = entries[i], size = Exif.TYPE_SIZE[e.type] * e.count;
+    out.u16(e.tag);
+    out.u16(e.type);
+    out.u32(e.count);
+    if (e.raw) {
+      out.bytes(e.raw);
+    } else if (size <= 4) {
+      Exif._writeValues(out, e);
+      for (var j = size; j < 4; j++) out.u8(0);
+    } else {
+      out.u32(data);
+      deferred.push(e);
+      data += size + (size & 1);
+    }
+  }
+  out.u32(next);
+
+  for (var i = 0; i < deferred.length; i++) {
+    Exif._writeValues(out, deferred[i]);
+    out.align();
+  }
+}
+
+
+Exif._writeValues = function(out, e) {
+  for (var i = 0; i < e.value.length; i++) {
+    if (e.type == 3) out.u16(e.value[i]);
+    else if (e.type == 4 || e.type == 5) out.u32(e.value[i]);
+    else out.u8(e.value[i]);
+  }
+}
+
+
+Exif._u16 = function(tiff, off) {
+  if (off < 0 || off + 2 > tiff.length) throw new Error('Corrupt EXIF: offset ' + off + ' out of bounds');
+  var b = tiff.bytes, p = tiff.start + off;
+  return tiff.little ? b[p] | (b[p+1] << 8) : (b[p] << 8) | b[p+1];
+}
+
+
+Exif._u32 = function(tiff, off) {
+  if (off < 0 || off + 4 > tiff.length) throw new Error('Corrupt EXIF: offset ' + off + ' out of bounds');
+  var b = tiff.bytes, p = tiff.start + off;
+  return tiff.little
+    ? (b[p] | (b[p+1] << 8) | (b[p+2] << 16)) + b[p+3] * 0x1000000
+    : (b[p+1] << 16 | (b[p+2] << 8) | b[p+3]) + b[p] * 0x1000000;
+}
+
+
+/*
+ * growable byte buffer writing in a given byte order (internal use)
+ */
+Exif._Buffer = function(little) {
+  this.little = little;
+  this.buf = [];
+}
+
+Exif._Buffer.prototype.length = function() { return this.buf.length; }
+Exif._Buffer.prototype.u8 = function(v) { this.buf.push(v & 0xFF); }
+Exif._Buffer.prototype.bytes = function(a) { for (var i = 0; i < a.length; i++) this.u8(a[i]); }
+Exif._Buffer.prototype.align = function() { if (this.buf.length & 1) this.u8(0); }
+Exif._Buffer.prototype.array = function() { return new Uint8Array(this.buf); }
+
+Exif._Buffer.prototype.u16 = function(v) {
+  if (this.little) this.bytes([ v, v >> 8 ]);
+  else this.bytes([ v >> 8, v ]);
+}
+
+Exif._Buffer.prototype.u32 = function(v) {
+  var b = [ v >>> 24, v >>> 16, v >>> 8, v ];
+  this.bytes(this.little ? b.reverse() : b);
+}
+
+Exif._Buffer.prototype.set32 = function(off, v) {
+  var b = [ v >>> 24, v >>> 16, v >>> 8, v ];
+  if (this.little) b.reverse();
+  for (var i = 0; i < 4; i++) this.buf[off + i] = b[i] & 0xFF;
+}
+
+
+if (typeof module != 'undefined' && module.exports) {
+  module.exports.Exif = Exif;
+  module.exports.Geotagger = Geotagger;
+}
@@ -0,0 +1,289 @@
+/*
+ * Fence object - methods summary
+ *
+ *   fence = Fence.circle('home', { lat: 54.29, lon: -2.02 }, 200)
+ *   fence = Fence.polygon('zone', [ { lat: 51, lon: 179 }, { lat: 51, lon: -179 }, ... ])
+ *
+ *   inside = fence.contains(place)
+ *   m2 = fence.area()
+ *   m = fence.perimeter()
+ *
+ *   events = Fence.events(track, fences, opts)
+ *
+ * Fences are areas on the sphere: a circle (centre and radius in metres) or a polygon
+ * whose vertices, in either order, are joined by great circles and which is closed
+ * automatically. Places and vertices may be LatLongs, objects with latitude() and
+ * longitude() methods or { lat, lon } in degrees. Containment works by the winding of
+ * the bearings to the vertices, so polygons may cross the antimeridian or surround a
+ * pole - a polygon is the side of its edges smaller than a hemisphere. The bearings
+ * wind round the polygon's antipodal image too, but the other way: a place is only
+ * inside if they wind the way the boundary turns.
+ *
+ * Fence.events() walks a ByTime track (or anything ByTime accepts as points) and lists
+ * each time it went into or out of a fence, in time order:
+ *
+ *   [ { type: 'enter' or 'exit', fence, time, lat, lon: where it crossed the boundary,
+ *       index: of the fix before the crossing, lowConfidence: true if the crossing is
+ *       in a gap in the track (see ByTime.gaps()) } ]
+ *
+ * The track is taken to run along the great circle between fixes at a steady speed:
+ * the crossing point is found on that path with destPoint() and its time interpolated
+ * from the fixes either side. A track starting inside a fence gets an 'enter' event at
+ * its first fix. opts are ByTime options (for the gaps).
+ */
+
+if (typeof LatLong == 'undefined' && typeof require == 'function') {
+  var LatLong = require('./hav.js').LatLong;
+}
+if (typeof ByTime == 'undefined' && typeof require == 'function') {
+  var ByTime = require('./bytime.js').ByTime;
+}
+
+
+/*
+ * Fence constructor (use Fence.circle() or Fence.polygon()):
+ *
+ *   def: { name, centre: LatLong, radius: metres } or { name, vertices: [ LatLong ] }
+ */
+function Fence(def) {
+  this.name = def.name;
+  this.centre = def.centre || null;
+  this.radius = def.radius == null ? null : def.radius;
+  this.vertices = def.vertices || null;
+  this.turn = this.vertices ? Fence._turn(this.vertices) : null;
+}
+
+
+/*
+ * a circular fence
+ */
+Fence.circle = function(name, centre, radius) {
+  if (!(radius > 0)) throw new Error('Bad fence radius ' + radius);
+  return new Fence({ name: name, centre: ByTime.place(centre), radius: radius });
+}
+
+
+/*
+ * a polygon fence
+ */
+Fence.polygon = function(name, vertices) {
+  var v = [];
+  for (var i = 0; i < vertices.length; i++) v.push(ByTime.place(vertices[i]));
+  // the last vertex may repeat the first
+  if (v.length > 1 && v[0].lat == v[v.length-1].lat && v[0].lon == v[v.length-1].lon) v.pop();
+  if (v.length < 3) throw new Error('A fence polygon needs at least 3 vertices');
+  return new Fence({ name: name, vertices: v });
+}
+
+
+/*
+ * is the place inside the fence (or on its edge)?
+ */
+Fence.prototype.contains = function(place) {
+  var p = ByTime.place(place);
+  if (this.centre) return LatLong.distHaversine(this.centre, p, { units: 'm' }) <= this.radius;
+
+  // add up the turns of the bearing to each vertex in turn: a full turn the same way as
+  // the boundary turns means inside (the other way, inside the antipodal image)
+  var v = this.vertices, sum = 0, last = null;
+  for (var i = 0; i <= v.length; i++) {
+    var vi = v[i % v.length];
+    if (LatLong.distHaversine(p, vi, { units: 'm' }) < 1e-6) return true;     // on a vertex
+    var brng = LatLong.bearing(p, vi);
+    if (last != null) sum += LatLong._normLon(brng - last);
+    last = brng;
+  }
+  return Math.abs(sum) > Math.PI && sum * this.turn > 0;
+}
+
+
+/*
+ * area of the fence in square metres
+ *
+ * from: Chris Veness, http://www.movable-type.co.uk/scripts/latlong.html (polygon area)
+ */
+Fence.prototype.area = function() {
+  var R = LatLong._model({ units: 'm' }).R;
+  if (this.centre) return 2 * Math.PI * R*R * (1 - Math.cos(this.radius / R));
+
+  var v = this.vertices, S = 0;
+  for (var i = 0; i < v.length; i++) {
+    var p1 = v[i], p2 = v[(i+1) % v.length];
+    var dLon = LatLong._normLon(p2.lon - p1.lon);              // antimeridian safe
+    var t1 = Math.tan(p1.lat / 2), t2 = Math.tan(p2.lat / 2);
+    S += 2 * Math.atan2(Math.tan(dLon / 2) * (t1 + t2), 1 + t1 * t2);
+  }
+  if (this.contains({ lat: 90, lon: 0 }) || this.contains({ lat: -90, lon: 0 })) S = Math.abs(S) - 2 * Math.PI;
+  return Math.abs(S) * R*R;
+}
+
+
+/*
+ * length of the fence's boundary in metres
+ */
+Fence.prototype.perimeter = function() {
+  var R = LatLong._model({ units: 'm' }).R;
+  if (this.centre) return 2 * Math.PI * R * Math.sin(this.radius / R);
+
+  var v = this.vertices, dist = 0;
+  for (var i = 0; i < v.length; i++) dist += LatLong.distHaversine(v[i], v[(i+1) % v.length], { units: 'm' });
+  return dist;
+}
+
+
+/*
+ * enter and exit events along a track
+ */
+Fence.events = function(track, fences, opts) {
+  track = ByTime.track(track);
+  if (fences instanceof Fence) fences = [ fences ];
+  opts = track.settings(opts);
+  var pts = track.getPoints(), units = { units: 'm' }, events = [];
+
+  for (var f = 0; f < fences.length; f++) {
+    var fence = fences[f];
+    if (!pts.length) break;
+    var inside = fence.contains(pts[0]);
+    if (inside) events.push(Fence._event('enter', fence, pts[0], 0, false));
+
+    for (var i = 0; i + 1 < pts.length; i++) {
+      var p1 = pts[i], p2 = pts[i+1];
+      var a = new LatLong(p1.lat, p1.lon), b = new LatLong(p2.lat, p2.lon);
+      var len = LatLong.distHaversine(a, b, units), brng = LatLong.bearing(a, b) * 180 / Math.PI;
+      var gap = !!ByTime.gap(pts, i, opts);
+
+      // where the path might cross the boundary: each stretch between those is on the
+      // side its midpoint is
+      var cuts = len > 0 ? fence._crossings(a, b, len) : [];
+      for (var c = 0, from = 0; len > 0 && c <= cuts.length; c++) {
+        var to = c < cuts.length ? cuts[c] : len;
+        var now = fence.contains(a.destPoint(brng, (from + to) / 2, units));
+        if (now != inside) {
+          // crossed where the stretch starts - or, if rounding lost that crossing, in it
+          var d = c > 0 ? from : Fence._bisect(fence, a, brng, 0, to, inside);
+          var p = a.destPoint(brng, d, units);
+          events.push(Fence._event(now ? 'enter' : 'exit', fence, {
+            lat: p.lat * 180 / Math.PI, lon: LatLong.wrapLon(p.lon * 180 / Math.PI),
+            time: ByTime.interp(0, d, len, p1.time, p2.time)
+          }, i, gap));
+          inside = now;
+        }
+        from = to;
+      }
+    }
+  }
+
+  events.sort(function(x, y) { return x.time - y.time; });
+  return events;
+}
+
+
+/*
+ * distances along the great circle path from a to b (len metres) at which it meets the
+ *   boundary, in order (internal use)
+ */
+Fence.prototype._crossings = function(a, b, len) {
+  var R = LatLong._model({ units: 'm' }).R, cuts = [];
+
+  if (this.centre) {
+    // either side of the closest approach to the centre
+    var xt = this.centre.crossTrackDist(a, b, { units: 'm' });
+    if (Math.abs(xt) < this.radius) {
+      var at = this.centre.alongTrackDist(a, b, { units: 'm' });
+      var half = Math.acos(Math.min(1, Math.cos(this.radius / R) / Math.cos(xt / R))) * R;
+      cuts.push(at - half, at + half);
+    }
+  } else {
+    var A = Fence._vector(a), B = Fence._vector(b), n1 = Fence._cross(A, B);
+    var v = this.vertices;
+    for (var i = 0; i < v.length; i++) {
+      var C = Fence._vector(v[i]), D = Fence._vector(v[(i+1) % v.length]);
+      var x = Fence._cross(n1, Fence._cross(C, D)), size = Fence._length(x);
+      if (size < 1e-12) continue;                 // same great circle
+      for (var s = -1; s <= 1; s += 2) {
+        var X = { x: s * x.x / size, y: s * x.y / size, z: s * x.z / size };
+        if (Fence._onArc(A, B, X) && Fence._onArc(C, D, X)) cuts.push(Fence._angle(A, X) * R);
+      }
+    }
+  }
+
+  var res = [];
+  for (var i = 0; i < cuts.length; i++) if (cuts[i] > 0 && cuts[i] < len) res.push(cuts[i]);
+  res.sort(function(x, y) { return x - y; });
+  return res;
+}
+
+
+/*
+ * distance along the path from a on bearing brng (degrees) between lo and hi metres at
+ *   which it leaves the side it starts on, by bisection (internal use)
+ */
+Fence._bisect = function(fence, a, brng, lo, hi, inside) {
+  while (hi - lo > 0.001) {
+    var mid = (lo + hi) / 2;
+    if (fence.contains(a.destPoint(brng, mid, { units: 'm' })) == inside) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+
+/*
+ * an event record (internal use)
+ */
+Fence._event = function(type, fence, pt, index, gap) {
+  return { type: type, fence: fence, time: pt.time, lat: pt.lat, lon: pt.lon, index: index, lowConfidence: gap };
+}
+
+
+/*
+ * unit vector of a LatLong (internal use)
+ */
+Fence._vector = function(p) {
+  return { x: Math.cos(p.lat) * Math.cos(p.lon), y: Math.cos(p.lat) * Math.sin(p.lon), z: Math.sin(p.lat) };
+}
+
+
+Fence._cross = function(u, v) {
+  return { x: u.y*v.z - u.z*v.y, y: u.z*v.x - u.x*v.z, z: u.x*v.y - u.y*v.x };
+}
+
+
+Fence._length = function(u) {
+  return Math.sqrt(u.x*u.x + u.y*u.y + u.z*u.z);
+}
+
+
+/*
+ * angle in radians between two unit vectors (internal use)
+ */
+Fence._angle = function(u, v) {
+  return Math.atan2(Fence._length(Fence._cross(u, v)), u.x*v.x + u.y*v.y + u.z*v.z);
+}
+
+
+/*
+ * is X on the shorter great circle arc from A to B? (internal use)
+ */
+Fence._onArc = function(A, B, X) {
+  return Math.abs(Fence._angle(A, X) + Fence._angle(X, B) - Fence._angle(A, B)) < 1e-9;
+}
+
+
+/*
+ * total turn in radians going round a polygon's vertices, +ve clockwise - the polygon
+ *   (the smaller side) is on the inside of the turn (internal use)
+ */
+Fence._turn = function(v) {
+  var n = v.length, turn = 0;
+  for (var i = 0; i < n; i++) {
+    var back = LatLong.bearing(v[i], v[(i+n-1) % n]), on = LatLong.bearing(v[i], v[(i+1) % n]);
+    turn += LatLong._normLon(on - back - Math.PI);
+  }
+  return turn;
+}
+
+
+if (typeof module != 'undefined' && module.exports) {
+  module.exports.Fence = Fence;
+}
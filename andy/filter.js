@@ -0,0 +1,252 @@
+/*
+ * TrackFilter - methods summary
+ *
+ *   res = TrackFilter.clean(track, opts)
+ *   smooth = TrackFilter.smooth(track, opts)
+ *
+ * track is a ByTime index or anything ByTime accepts as points. Both return new ByTime
+ * indexes with the same options as track (when it's a ByTime), so they can be used for
+ * lookups in its place.
+ *
+ * clean() drops fixes that imply an impossible speed or acceleration - a multipath jump
+ * of up to maxBurst fixes that's too fast to reach from the last good fix, after which
+ * the track comes back to where that fix could have got to (bad fixes close together
+ * don't vouch for each other) - and returns
+ *
+ *   { track: ByTime of the fixes kept (and smoothed, if opts.smooth is set),
+ *     rejected: [ { point: the object originally added, time, index: in getPoints()
+ *                   order, reason: 'speed' or 'acceleration', speed: metres/second from
+ *                   the last good fix (or to the first, at the start), accel:
+ *                   metres/second^2 or null } ] }
+ *
+ * smooth() replaces each fix by an estimate from its neighbours, keeping the times and
+ * original objects:
+ *
+ *   'kalman' - a constant velocity Kalman filter, run forwards, with each fix's error
+ *              taken from the ByTime error model (HDOP * uere or fixError)
+ *   'window' - the mean position of the fixes within window/2 seconds either side
+ *
+ * opts:
+ *   maxSpeed - fastest believable speed, metres/second (default 100)
+ *   maxAccel - fastest believable change of speed, metres/second^2 (default null: not
+ *              checked - GPS noise at 1 Hz easily implies several g)
+ *   maxBurst - most fixes in a row clean() drops as one jump (default 5)
+ *   smooth   - clean() then smooths with this method (default null: none)
+ *   method   - smooth() method: 'kalman' (default) or 'window'
+ *   window   - seconds (default 10)
+ *   accel    - the Kalman filter's process noise: how hard the track can accelerate,
+ *              metres/second^2 (default 1)
+ * and ByTime's uere & fixError
+ */
+
+if (typeof LatLong == 'undefined' && typeof require == 'function') {
+  var LatLong = require('./hav.js').LatLong;
+}
+if (typeof ByTime == 'undefined' && typeof require == 'function') {
+  var ByTime = require('./bytime.js').ByTime;
+}
+
+
+var TrackFilter = {};
+
+
+/*
+ * default options
+ */
+TrackFilter.defaults = {
+  maxSpeed: 100, maxAccel: null, maxBurst: 5, smooth: null, method: 'kalman', window: 10, accel: 1
+};
+
+
+/*
+ * smoothing methods: each is given the fixes in time order, the options and the ByTime
+ *   options, and returns [ { lat, lon } ] in degrees, one per fix
+ */
+TrackFilter.smoothers = {
+  kalman: function(pts, opts, btOpts) {
+    var R = LatLong._model({ units: 'm' }).R, q = opts.accel * opts.accel;
+    var res = [], axes = [ TrackFilter._axis(), TrackFilter._axis() ], last = null;
+
+    for (var i = 0; i < pts.length; i++) {
+      var pt = pts[i], r = ByTime.fixError(pt, btOpts);
+      if (!last) {
+        last = { lat: pt.lat, lon: pt.lon };
+        axes[0].P = [ [ r*r, 0 ], [ 0, 1e6 ] ];
+        axes[1].P = [ [ r*r, 0 ], [ 0, 1e6 ] ];
+      } else {
+        // measure from the last estimate, in metres north & east of it
+        var dt = pt.time - pts[i-1].time, k = Math.PI / 180 * R;
+        var north = (pt.lat - last.lat) * k;
+        var east = LatLong.wrapLon(pt.lon - last.lon) * k * Math.cos(last.lat * Math.PI / 180);
+        var dn = TrackFilter._kalmanStep(axes[0], north, dt, r*r, q);
+        var de = TrackFilter._kalmanStep(axes[1], east, dt, r*r, q);
+        last = {
+          lat: last.lat + dn / k,
+          lon: LatLong.wrapLon(last.lon + de / k / Math.cos(last.lat * Math.PI / 180))
+        };
+      }
+      res.push(last);
+    }
+    return res;
+  },
+
+  window: function(pts, opts) {
+    var res = [], half = opts.window / 2, lo = 0, hi = 0;
+    for (var i = 0; i < pts.length; i++) {
+      while (pts[lo].time < pts[i].time - half) lo++;
+      while (hi + 1 < pts.length && pts[hi+1].time <= pts[i].time + half) hi++;
+      // mean offset from this fix, so the antimeridian doesn't matter
+      var dLat = 0, dLon = 0, n = hi - lo + 1;
+      for (var j = lo; j <= hi; j++) {
+        dLat += (pts[j].lat - pts[i].lat) / n;
+        dLon += LatLong.wrapLon(pts[j].lon - pts[i].lon) / n;
+      }
+      res.push({ lat: pts[i].lat + dLat, lon: LatLong.wrapLon(pts[i].lon + dLon) });
+    }
+    return res;
+  }
+};
+
+
+/*
+ * drop fixes implying an impossible speed or acceleration
+ */
+TrackFilter.clean = function(track, opts) {
+  track = ByTime.track(track);
+  opts = ByTime.merge(TrackFilter.defaults, opts);
+  var pts = track.getPoints(), kept = [], rejected = [];     // kept holds indexes into pts
+
+  for (var i = 0; i < pts.length; i++) {
+    var pt = pts[i], prev = kept.length ? pts[kept[kept.length-1]] : null, next = pts[i+1];
+    var vIn = prev ? TrackFilter._speed(prev, pt) : null;
+    var vOut = next ? TrackFilter._speed(pt, next) : null;
+
+    if (prev && vIn > opts.maxSpeed) {
+      // a jump away from the last good fix: if the track comes back within maxBurst
+      // fixes (or ends first, prev agreeing with the fix before it) the fixes in between
+      // are the burst
+      var j = TrackFilter._rejoin(pts, i, prev, opts);
+      if (j != null && (j < pts.length || kept.length > 1 &&
+                        TrackFilter._speed(pts[kept[kept.length-2]], prev) <= opts.maxSpeed)) {
+        for (; i < j; i++)
+          rejected.push(TrackFilter._rejected(pts, i, 'speed', TrackFilter._speed(prev, pts[i]), null));
+        i--;
+        continue;
+      }
+
+      // otherwise, if the fixes so far are no more than a burst and this one agrees with
+      // the next, they were the bad ones
+      if (kept.length <= opts.maxBurst && next && vOut <= opts.maxSpeed) {
+        for (var k = 0; k < kept.length; k++)
+          rejected.push(TrackFilter._rejected(pts, kept[k], 'speed', TrackFilter._speed(pts[kept[k]], pt), null));
+        kept = [];
+        prev = null;
+      }
+    }
+
+    if (prev && next && opts.maxAccel != null && next.time > prev.time) {
+      var accel = Math.abs(vOut - vIn) / ((next.time - prev.time) / 2);
+      if (accel > opts.maxAccel) {
+        rejected.push(TrackFilter._rejected(pts, i, 'acceleration', vIn, accel));
+        continue;
+      }
+    }
+    kept.push(i);
+  }
+
+  var good = [];
+  for (var i = 0; i < kept.length; i++) good.push(pts[kept[i]]);
+  rejected.sort(function(a, b) { return a.index - b.index; });
+
+  var res = new ByTime(good);
+  res.configure(track.options);
+  if (opts.smooth) res = TrackFilter.smooth(res, ByTime.merge(opts, { method: opts.smooth }));
+  return { track: res, rejected: rejected };
+}
+
+
+/*
+ * smooth a track's positions
+ */
+TrackFilter.smooth = function(track, opts) {
+  track = ByTime.track(track);
+  opts = ByTime.merge(TrackFilter.defaults, opts);
+  if (!TrackFilter.smoothers.hasOwnProperty(opts.method))
+    throw new Error('Unknown smoothing method: ' + opts.method);
+
+  var pts = track.getPoints(), out = [];
+  var smoothed = TrackFilter.smoothers[opts.method](pts, opts, track.settings(opts));
+  for (var i = 0; i < pts.length; i++)
+    out.push({ lat: smoothed[i].lat, lon: smoothed[i].lon, time: pts[i].time, orig: pts[i].orig || pts[i] });
+
+  var res = new ByTime(out);
+  res.configure(track.options);
+  return res;
+}
+
+
+/*
+ * one predict & update step of a constant velocity Kalman filter along one axis, the
+ *   state being measured from the last estimate: returns how far the new estimate is
+ *   from the last (internal use)
+ */
+TrackFilter._kalmanStep = function(axis, z, dt, r, q) {
+  var P = axis.P, v = axis.v;
+
+  // predict: x = F x, P = F P F' + Q
+  var x = v * dt;
+  var p00 = P[0][0] + dt * (P[1][0] + P[0][1]) + dt*dt * P[1][1] + q * dt*dt*dt*dt / 4;
+  var p01 = P[0][1] + dt * P[1][1] + q * dt*dt*dt / 2;
+  var p11 = P[1][1] + q * dt*dt;
+
+  // update with the measurement z, variance r
+  var s = p00 + r, k0 = p00 / s, k1 = p01 / s, y = z - x;
+  x += k0 * y;
+  axis.v = v + k1 * y;
+  axis.P = [ [ (1 - k0) * p00, (1 - k0) * p01 ], [ (1 - k0) * p01, p11 - k1 * p01 ] ];
+  return x;
+}
+
+
+/*
+ * a Kalman filter axis: velocity (metres/second) and covariance (internal use)
+ */
+TrackFilter._axis = function() {
+  return { v: 0, P: null };
+}
+
+
+/*
+ * speed in metres/second between two { lat, lon, time } fixes - infinite for a move in
+ *   no time (internal use)
+ */
+TrackFilter._speed = function(p1, p2) {
+  var dist = LatLong.distHaversine(new LatLong(p1.lat, p1.lon), new LatLong(p2.lat, p2.lon), { units: 'm' });
+  var dt = Math.abs(p2.time - p1.time);
+  return dt > 0 ? dist / dt : (dist > 0 ? Infinity : 0);
+}
+
+
+/*
+ * index of the first fix after fix i, at most maxBurst on, that's reachable from fix
+ *   prev; pts.length if the track ends before maxBurst fixes without one; else null
+ *   (internal use)
+ */
+TrackFilter._rejoin = function(pts, i, prev, opts) {
+  for (var j = i + 1; j < pts.length && j - i <= opts.maxBurst; j++)
+    if (TrackFilter._speed(prev, pts[j]) <= opts.maxSpeed) return j;
+  return pts.length - i <= opts.maxBurst ? pts.length : null;
+}
+
+
+/*
+ * an entry for clean()'s rejected list (internal use)
+ */
+TrackFilter._rejected = function(pts, i, reason, speed, accel) {
+  return { point: pts[i].orig || pts[i], time: pts[i].time, index: i, reason: reason, speed: speed, accel: accel };
+}
+
+
+if (typeof module != 'undefined' && module.exports) {
+  module.exports.TrackFilter = TrackFilter;
+}
@@ -0,0 +1,216 @@
+/*
+ * Geocoder object - methods summary
+ *
+ *   geocoder = new Geocoder()                      // the capitals in hav.js's cities table
+ *   geocoder = new Geocoder(places)
+ *   geocoder.add(places)
+ *
+ *   near = geocoder.nearest(where, k, maxDist)
+ *
+ *   res = Geocoder.parseCSV(text, opts)            // { places: [...], errors: [...] }
+ *   res = Geocoder.parseGeoJSON(json)
+ *   places = Geocoder.cities()
+ *
+ * Reverse geocoding with no network: places are { name, country, lat, lon (degrees),
+ * properties } records - properties holds everything else the gazetteer had for the
+ * place. where is a LatLong, { lat, lon } in degrees, an object with latitude() and
+ * longitude() methods or a ByTime lookup() result. nearest() returns the k (default 1)
+ * closest places no further than maxDist metres (if given) as
+ *
+ *   [ { name, country, lat, lon, dist: metres, brng: initial bearing in degrees from
+ *       where to the place, place: the record } ]
+ *
+ * Gazetteers:
+ *   CSV     - delimited text with a header row (see Geocoder.csvColumns); opts.columns
+ *             and opts.delimiter as for TrackReader
+ *   GeoJSON - a FeatureCollection (object or text) of Point features; name and country
+ *             come from the properties (see Geocoder.geoJSONProperties) and features of
+ *             other geometries are skipped
+ * Bad rows and features are reported as { format, line or feature, message } errors.
+ */
+
+if (typeof cities == 'undefined' && typeof require == 'function') {
+  var cities = require('./hav.js').cities;
+}
+if (typeof SpatialIndex == 'undefined' && typeof require == 'function') {
+  var SpatialIndex = require('./spatial.js').SpatialIndex;
+}
+if (typeof TrackReader == 'undefined' && typeof require == 'function') {
+  var TrackReader = require('./readers.js').TrackReader;
+}
+
+
+/*
+ * Geocoder constructor:
+ *
+ *   places: array of place records (default Geocoder.cities())
+ */
+function Geocoder(places) {
+  this.index = new SpatialIndex();
+  this.add(places || Geocoder.cities());
+}
+
+
+/*
+ * add places to the gazetteer
+ */
+Geocoder.prototype.add = function(places) {
+  this.index.add(places);
+}
+
+
+/*
+ * the places closest to where
+ */
+Geocoder.prototype.nearest = function(where, k, maxDist) {
+  if (where && where.best) where = where.best;      // a ByTime lookup() result
+  var found = maxDist != null ? this.index.within(where, maxDist).slice(0, k == null ? 1 : k)
+                              : this.index.nearest(where, k);
+  var res = [];
+  for (var i = 0; i < found.length; i++) {
+    var p = found[i].point;
+    res.push({ name: p.name, country: p.country, lat: p.lat, lon: p.lon, dist: found[i].dist, brng: found[i].brng, place: p });
+  }
+  return res;
+}
+
+
+/*
+ * the capitals in hav.js's cities table as place records
+ */
+Geocoder.cities = function() {
+  var places = [];
+  for (var i = 0; i < cities.length; i++) {
+    var c = cities[i];
+    places.push({ name: c[1], country: c[0], lat: c[2], lon: c[3], properties: {} });
+  }
+  return places;
+}
+
+
+/*
+ * CSV column names recognised in the header row (lower case)
+ */
+Geocoder.csvColumns = {
+  name:    [ 'name', 'place', 'city', 'placename', 'asciiname' ],
+  country: [ 'country', 'country_name', 'countryname', 'country_code', 'cc' ],
+  lat:     TrackReader.csvColumns.lat,
+  lon:     TrackReader.csvColumns.lon
+};
+
+
+/*
+ * property names searched for a GeoJSON feature's name & country
+ */
+Geocoder.geoJSONProperties = {
+  name:    [ 'name', 'NAME', 'city', 'place' ],
+  country: [ 'country', 'COUNTRY', 'country_name', 'adm0name', 'ADM0NAME', 'iso_a2' ]
+};
+
+
+/*
+ * parse a CSV gazetteer
+ */
+Geocoder.parseCSV = function(text, opts) {
+  opts = opts || {};
+  var places = [], errors = [], cols = null, header = null, delim = opts.delimiter;
+  var error = function(line, message) { errors.push({ format: 'csv', line: line, message: message }); };
+
+  var lines = TrackReader._lines(function(line, lineNo) {
+    if (TrackReader._trim(line) == '') return;
+    if (!delim) delim = TrackReader._csvDelimiter(line);
+    var fields = TrackReader._csvSplit(line, delim);
+    if (fields == null) return error(lineNo, 'unbalanced quotes');
+
+    if (!header) {
+      header = fields;
+      cols = Geocoder._columns(fields, opts.columns);
+      if (typeof cols == 'string') error(lineNo, cols);
+      return;
+    }
+    if (typeof cols == 'string') return;            // reported once
+    if (fields.length != header.length)
+      return error(lineNo, 'expected ' + header.length + ' fields, got ' + fields.length);
+
+    var props = {};
+    for (var i = 0; i < header.length; i++) props[TrackReader._trim(header[i])] = TrackReader._trim(fields[i]);
+    var place = Geocoder._place(fields[cols.name], cols.country == null ? null : fields[cols.country],
+                                fields[cols.lat], fields[cols.lon], props);
+    if (typeof place == 'string') return error(lineNo, place);
+    places.push(place);
+  });
+  lines.write(text);
+  lines.end();
+  return { places: places, errors: errors };
+}
+
+
+/*
+ * parse a GeoJSON gazetteer
+ */
+Geocoder.parseGeoJSON = function(json) {
+  var places = [], errors = [];
+  if (typeof json == 'string') json = JSON.parse(json);
+  var features = json && json.type == 'FeatureCollection' ? json.features : json && json.type == 'Feature' ? [ json ] : null;
+  if (!features) throw new Error('GeoJSON gazetteer must be a Feature or FeatureCollection');
+
+  for (var i = 0; i < features.length; i++) {
+    var f = features[i], g = f && f.geometry, props = f && f.properties || {};
+    if (!g || g.type != 'Point') continue;
+    var c = g.coordinates || [];
+    var place = Geocoder._place(Geocoder._property(props, 'name'), Geocoder._property(props, 'country'), c[1], c[0], props);
+    if (typeof place == 'string') errors.push({ format: 'geojson', feature: i, message: place });
+    else places.push(place);
+  }
+  return { places: places, errors: errors };
+}
+
+
+/*
+ * map header fields to column indexes, or a message if name, lat or lon is missing
+ *   (internal use)
+ */
+Geocoder._columns = function(fields, columns) {
+  var cols = {}, names = {}, missing = [];
+  for (var i = 0; i < fields.length; i++) names[TrackReader._trim(fields[i]).toLowerCase()] = i;
+
+  for (var k in Geocoder.csvColumns) {
+    var want = columns && columns[k] ? [ columns[k].toLowerCase() ] : Geocoder.csvColumns[k];
+    for (var j = 0; j < want.length && cols[k] == null; j++) {
+      if (names.hasOwnProperty(want[j])) cols[k] = names[want[j]];
+    }
+    if (cols[k] == null && k != 'country') missing.push(k);
+  }
+  return missing.length ? 'header has no ' + missing.join(', ') + ' column' : cols;
+}
+
+
+/*
+ * the first of a feature's properties naming its name or country (internal use)
+ */
+Geocoder._property = function(props, key) {
+  var names = Geocoder.geoJSONProperties[key];
+  for (var i = 0; i < names.length; i++) if (props[names[i]] != null) return String(props[names[i]]);
+  return null;
+}
+
+
+/*
+ * a place record, or a message saying what's wrong (internal use)
+ */
+Geocoder._place = function(name, country, lat, lon, props) {
+  name = name == null ? '' : TrackReader._trim(String(name));
+  country = country == null ? null : TrackReader._trim(String(country)) || null;
+  if (name == '') return 'place has no name';
+  if (lat == null || lon == null || TrackReader._trim(String(lat)) == '' || TrackReader._trim(String(lon)) == '')
+    return 'no position for ' + name;
+  lat = Number(lat); lon = Number(lon);
+  if (!(Math.abs(lat) <= 90)) return 'bad latitude for ' + name;
+  if (!(Math.abs(lon) <= 180)) return 'bad longitude for ' + name;
+  return { name: name, country: country, lat: lat, lon: lon, properties: props };
+}
+
+
+if (typeof module != 'undefined' && module.exports) {
+  module.exports.Geocoder = Geocoder;
+}
@@ -3,26 +3,53 @@
  *
  *   p = new LatLong('512839N', '0002741W')
  *   p = new LatLong(53.123, -1.987)
+ *   p = LatLong.parse('512839N', '0002741W')
+ *   errors = LatLong.validate(lat, lon)
+ *
+ *   old = LatLong.configure({ radius: 6371000, units: 'm' })
  *
  *   dist = LatLong.distHaversine(p1, p2)
  *   dist = LatLong.distCosineLaw(p1, p2)
  *   dist = LatLong.distVincenty(p1, p2)
+ *   inv = LatLong.vincentyInverse(p1, p2)
  *
  *   brng = LatLong.bearing(p1, p2)
  *   dist = p1.distAlongVector(orig, dirn)
+ *   dist = p.crossTrackDist(start, end)
+ *   dist = p.alongTrackDist(start, end)
  *   p = LatLong.midPoint(p1, p2)
+ *   p = LatLong.intermediatePoint(p1, p2, fraction)
  *   p2 = p1.destPoint(initBrng, dist)
  *   brng = p.finalBrng(initBrng, dist)
+ *   p2 = p1.destPointVincenty(initBrng, dist)
+ *   brng = p1.finalBrngVincenty(initBrng, dist)
  *
  *   dist = LatLong.distRhumb(p1, p2)
  *   brng = LatLong.brngRhumb(p1, p2)
  *   p2 = p1.destPointRhumb(brng, dist)
  *
  *   rad = LatLong.llToRad('51º28'39"N')
+ *   rad = LatLong.llToRad('51º28'39"N', { strict: true, field: 'lat' })
  *   latDms = p.latitude()
- *   lonDms = p.longitude()
+ *   lonDdm = p.longitude({ format: 'ddm', precision: 3 })
  *   dms = LatLong.radToDegMinSec(0.1284563)
  *   dms = LatLong.radToBrng(0.1284563)
+ *   deg = LatLong.wrapLon(190)                   // -170
+ *
+ * distances are in LatLong.config.units (km unless configured otherwise); every function
+ * that takes or returns a distance also accepts the configure() options as a final
+ * argument to override them for that call, eg LatLong.distHaversine(p1, p2, { units: 'nm' })
+ *
+ * the spherical formulae all share one radius, so destPoint() given a distance from any
+ * of them arrives where it was measured to. distHaversine() has always used 6378.137 km,
+ * but distCosineLaw(), destPoint(), distRhumb() and destPointRhumb() used a 6371 km mean
+ * radius, so their distances are now 0.11% longer: configure({ radius: 6371000 }) gives
+ * the old figures (and changes distHaversine()'s to match)
+ *
+ * calculated points have their longitude normalised to -180...+180 (strictly, [-pi, pi)
+ * radians). Bad input gives NaN or null unless checked strictly - parse() and validate(),
+ * or the strict option to llToRad(), destPoint() and midPoint() - which report it as a
+ * LatLong.CoordinateError with the offending field and the reason.
  *
  * properties:
  *   p.lat - latitude in radians (0=equator, pi/2=N.pole)
@@ -44,15 +71,134 @@ function LatLong(degLat, degLong) {
 
 
 /*
- * Calculate distance (in km) between two points specified by latitude/longitude with Haversine formula
+ * strictly parse a latitude & longitude (as for the constructor) into a LatLong with its
+ *   longitude normalised; throws the first CoordinateError validate() finds
+ */
+LatLong.parse = function(degLat, degLong) {
+  var errors = LatLong.validate(degLat, degLong);
+  if (errors.length) throw errors[0];
+  var p = new LatLong(0, 0);
+  p.lat = LatLong.llToRad(degLat, { strict: true, field: 'lat' });
+  p.lon = LatLong._normLon(LatLong.llToRad(degLong, { strict: true, field: 'lon' }));
+  return p;
+}
+
+
+/*
+ * check a latitude & longitude strictly: returns a CoordinateError for each that's bad
+ *   (an empty array if both are good)
+ */
+LatLong.validate = function(degLat, degLong) {
+  var errors = [], values = { lat: degLat, lon: degLong };
+  for (var field in values) {
+    try {
+      LatLong.llToRad(values[field], { strict: true, field: field });
+    } catch (e) {
+      if (!(e instanceof LatLong.CoordinateError)) throw e;
+      errors.push(e);
+    }
+  }
+  return errors;
+}
+
+
+/*
+ * error for a bad coordinate, bearing or distance found by strict checking:
+ *
+ *   field:  'lat', 'lon', 'brng', 'dist' or null (a value not known to be either
+ *           latitude or longitude)
+ *   reason: 'empty', 'syntax' (not a number or d-m-s), 'direction' (missing or wrong
+ *           compass letter) or 'range'
+ *   part:   'degrees', 'minutes', 'seconds', 'direction' or null (the whole value)
+ *   value:  the value as given
+ */
+LatLong.CoordinateError = function(field, reason, value, part, message) {
+  this.field = field;
+  this.reason = reason;
+  this.value = value;
+  this.part = part || null;
+  this.message = (field ? field + ': ' : '') + message + ' in "' + value + '"';
+  // each error gets the stack of the place it was thrown from, not one shared by them all
+  if (Error.captureStackTrace) Error.captureStackTrace(this, LatLong.CoordinateError);
+  else this.stack = new Error(this.message).stack;
+}
+LatLong.CoordinateError.prototype = Object.create(Error.prototype);
+LatLong.CoordinateError.prototype.constructor = LatLong.CoordinateError;
+LatLong.CoordinateError.prototype.name = 'CoordinateError';
+
+
+/*
+ * Earth model & distance units shared by all distance, destination and rhumb functions:
+ *
+ *   radius: radius in metres of the sphere used by the spherical formulae
+ *           (null to use the major semi-axis of the datum, 6378.137 km for WGS84)
+ *   datum:  name of the ellipsoid in LatLong.datums used by the Vincenty formulae
+ *   units:  name of the distance unit in LatLong.units
+ */
+LatLong.config = { radius: null, datum: 'WGS84', units: 'km' };
+
+
+/*
+ * ellipsoids: major & minor semi-axes in metres, flattening
+ */
+LatLong.datums = {
+  WGS84:    { a: 6378137,     b: 6356752.314245, f: 1/298.257223563 },
+  GRS80:    { a: 6378137,     b: 6356752.314140, f: 1/298.257222101 },
+  Airy1830: { a: 6377563.396, b: 6356256.909,    f: 1/299.3249646   },
+  Intl1924: { a: 6378388,     b: 6356911.946,    f: 1/297           }
+};
+
+
+/*
+ * distance units: size of each in metres
+ */
+LatLong.units = { m: 1, km: 1000, nm: 1852, mi: 1609.344 };
+
+
+/*
+ * change the Earth model and/or units globally; returns the previous settings so they
+ *   can be restored
+ */
+LatLong.configure = function(opts) {
+  var model = LatLong._model(opts);               // validates opts
+  var old = LatLong.config;
+  LatLong.config = { radius: model.radius, datum: model.datum, units: model.units };
+  return old;
+}
+
+
+/*
+ * resolve per-call options against the global config (internal use); returns the settings
+ *   plus R (sphere radius in output units), scale (metres per output unit) & ellipsoid
+ */
+LatLong._model = function(opts) {
+  var c = LatLong.config, m = {};
+  opts = opts || {};
+  m.radius = 'radius' in opts ? opts.radius : c.radius;
+  m.datum = opts.datum || c.datum;
+  m.units = opts.units || c.units;
+
+  m.ellipsoid = LatLong.datums[m.datum];
+  if (!m.ellipsoid) throw new Error('Unknown datum: ' + m.datum);
+  m.scale = LatLong.units[m.units];
+  if (!m.scale) throw new Error('Unknown distance units: ' + m.units);
+  if (m.radius != null && !(m.radius > 0)) throw new Error('Bad Earth radius: ' + m.radius);
+
+  m.R = (m.radius == null ? m.ellipsoid.a : m.radius) / m.scale;
+  return m;
+}
+
+
+/*
+ * Calculate distance between two points specified by latitude/longitude with Haversine formula
  *
  * from: Haversine formula - R. W. Sinnott, "Virtues of the Haversine",
  *       Sky and Telescope, vol 68, no 2, 1984
  *       http://www.census.gov/cgi-bin/geo/gisfaq?Q5.1
  */
 
-LatLong.distHaversine = function(p1, p2) {
-  var R = 6378.137; // earth's mean radius in km
+LatLong.distHaversine = function(p1, p2, opts) {
+  var R = LatLong._model(opts).R;
   var dLat  = p2.lat - p1.lat;
   var dLong = p2.lon - p1.lon;
 
@@ -66,10 +212,10 @@ LatLong.distHaversine = function(p1, p2) {
 
 
 /*
- * Calculate distance (in km) between two points specified by latitude/longitude using law of cosines.
+ * Calculate distance between two points specified by latitude/longitude using law of cosines.
  */
-LatLong.distCosineLaw = function(p1, p2) {
-  var R = 6371; // earth's mean radius in km
+LatLong.distCosineLaw = function(p1, p2, opts) {
+  var R = LatLong._model(opts).R;
   var d = Math.acos(Math.sin(p1.lat)*Math.sin(p2.lat) +
                     Math.cos(p1.lat)*Math.cos(p2.lat)*Math.cos(p2.lon-p1.lon)) * R;
   return d;
@@ -92,45 +238,122 @@ LatLong.bearing = function(p1, p2) {
 /*
  * calculate distance of point along a given vector defined by origin point
  * and direction in radians (uses planar not spherical geometry, so only valid
- * for small distances).
+ * for small distances - see alongTrackDist for the spherical version).
  */
-LatLong.prototype.distAlongVector = function(orig, dirn) {
-  var dist = LatLong.distHaversine(this, orig);  // distance from orig to point
+LatLong.prototype.distAlongVector = function(orig, dirn, opts) {
+  var dist = LatLong.distHaversine(this, orig, opts);  // distance from orig to point
   var brng = LatLong.bearing(this, orig);        // bearing between orig and point
   return dist * Math.cos(brng-dirn);
 }
 
 
+/*
+ * calculate distance of point from the great circle path through start & end:
+ *   +ve to the right of the path, -ve to the left
+ *
+ * from: Ed Williams' Aviation Formulary, http://williams.best.vwh.net/avform.htm#XTE
+ */
+LatLong.prototype.crossTrackDist = function(start, end, opts) {
+  var R = LatLong._model(opts).R;
+  var d13 = LatLong.distHaversine(start, this, opts) / R;
+  var brng13 = LatLong.bearing(start, this), brng12 = LatLong.bearing(start, end);
+  return Math.asin(Math.sin(d13) * Math.sin(brng13-brng12)) * R;
+}
+
+
+/*
+ * calculate distance from start to the closest point to this one on the great circle
+ *   path through start & end: -ve if that's behind start
+ */
+LatLong.prototype.alongTrackDist = function(start, end, opts) {
+  var R = LatLong._model(opts).R;
+  var d13 = LatLong.distHaversine(start, this, opts) / R;
+  var brng13 = LatLong.bearing(start, this), brng12 = LatLong.bearing(start, end);
+  var dXt = Math.asin(Math.sin(d13) * Math.sin(brng13-brng12));
+  var c = Math.cos(d13) / Math.abs(Math.cos(dXt));
+  var dAt = Math.acos(Math.min(1, Math.max(-1, c)));
+  return (Math.cos(brng13-brng12) < 0 ? -dAt : dAt) * R;
+}
+
+
 /*
  * calculate midpoint of great circle line between p1 & p2.
  *   see http://mathforum.org/library/drmath/view/51822.html for derivation
+ *
+ *   opts.strict: throw a CoordinateError for a bad point rather than returning null
  */
-LatLong.midPoint = function(p1, p2) {
+LatLong.midPoint = function(p1, p2, opts) {
+  if (opts && opts.strict) { LatLong._checkPoint(p1); LatLong._checkPoint(p2); }
   var dLon = p2.lon - p1.lon;
 
   var Bx = Math.cos(p2.lat) * Math.cos(dLon);
   var By = Math.cos(p2.lat) * Math.sin(dLon);
 
-  lat3 = Math.atan2(Math.sin(p1.lat)+Math.sin(p2.lat),
-                    Math.sqrt((Math.cos(p1.lat)+Bx)*(Math.cos(p1.lat)+Bx) + By*By ) );
-  lon3 = p1.lon + Math.atan2(By, Math.cos(p1.lat) + Bx);
+  var lat3 = Math.atan2(Math.sin(p1.lat)+Math.sin(p2.lat),
+                        Math.sqrt((Math.cos(p1.lat)+Bx)*(Math.cos(p1.lat)+Bx) + By*By ) );
+  var lon3 = LatLong._normLon(p1.lon + Math.atan2(By, Math.cos(p1.lat) + Bx));
 
   if (isNaN(lat3) || isNaN(lon3)) return null;
-  return new LatLong(lat3*180/Math.PI, lon3*180/Math.PI);
+  var p3 = new LatLong(0, 0);
+  p3.lat = lat3;
+  p3.lon = lon3;
+  return p3;
+}
+
+
+/*
+ * calculate point at given fraction (0 = p1, 1 = p2) of the way along the great circle
+ *   line between p1 & p2; longitude is normalised to -180...+180
+ *
+ *   coincident points give p1. Antipodal points (to within 1e-7 radians: rounding can
+ *   leave d 2e-8 short of pi) are joined by every great circle, so the path is taken due
+ *   north from p1 over the pole.
+ */
+LatLong.intermediatePoint = function(p1, p2, fraction) {
+  var dLat = p2.lat - p1.lat, dLon = p2.lon - p1.lon;
+  var a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+          Math.cos(p1.lat) * Math.cos(p2.lat) * Math.sin(dLon/2) * Math.sin(dLon/2);
+  var d = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));  // angular distance p1 to p2
+  var p = new LatLong(0, 0);
+
+  if (Math.sin(d) < 1e-12 && d < 1) {             // coincident
+    p.lat = p1.lat;
+    p.lon = p1.lon;
+  } else if (Math.sin(d) < 1e-7) {                // antipodal
+    var d3 = fraction * Math.PI;
+    p.lat = Math.asin(Math.sin(p1.lat)*Math.cos(d3) + Math.cos(p1.lat)*Math.sin(d3));
+    p.lon = p1.lon + Math.atan2(0, Math.cos(d3) - Math.sin(p1.lat)*Math.sin(p.lat));
+  } else {
+    var A = Math.sin((1-fraction)*d) / Math.sin(d);
+    var B = Math.sin(fraction*d) / Math.sin(d);
+    var x = A*Math.cos(p1.lat)*Math.cos(p1.lon) + B*Math.cos(p2.lat)*Math.cos(p2.lon);
+    var y = A*Math.cos(p1.lat)*Math.sin(p1.lon) + B*Math.cos(p2.lat)*Math.sin(p2.lon);
+    var z = A*Math.sin(p1.lat) + B*Math.sin(p2.lat);
+    p.lat = Math.atan2(z, Math.sqrt(x*x + y*y));
+    p.lon = Math.atan2(y, x);
+  }
+
+  p.lon = LatLong._normLon(p.lon);
+  return p;
 }
 
 
 /*
  * calculate destination point given start point, initial bearing and distance
  *   see http://williams.best.vwh.net/avform.htm#LL
+ *
+ *   opts.strict: throw a CoordinateError for a bad start point, bearing or distance
+ *   rather than returning null
  */
-LatLong.prototype.destPoint = function(brng, dist) {
-  var R = 6371; // earth's mean radius in km
+LatLong.prototype.destPoint = function(brng, dist, opts) {
+  var R = LatLong._model(opts).R;
+  if (opts && opts.strict) LatLong._checkMove(this, brng, dist);
   var p1 = this, p2 = new LatLong(0,0), d = parseFloat(dist)/R;  // d = angular distance covered on earth's surface
   brng = LatLong.degToRad(brng);
 
   p2.lat = Math.asin( Math.sin(p1.lat)*Math.cos(d) + Math.cos(p1.lat)*Math.sin(d)*Math.cos(brng) );
   p2.lon = p1.lon + Math.atan2(Math.sin(brng)*Math.sin(d)*Math.cos(p1.lat), Math.cos(d)-Math.sin(p1.lat)*Math.sin(p2.lat));
+  p2.lon = LatLong._normLon(p2.lon);
 
   if (isNaN(p2.lat) || isNaN(p2.lon)) return null;
   return p2;
@@ -140,20 +363,164 @@ LatLong.prototype.destPoint = function(brng, dist) {
 /*
  * calculate final bearing arriving at destination point given start point, initial bearing and distance
  */
-LatLong.prototype.finalBrng = function(brng, dist) {
-  var p1 = this, p2 = p1.destPoint(brng, dist);
+LatLong.prototype.finalBrng = function(brng, dist, opts) {
+  var p1 = this, p2 = p1.destPoint(brng, dist, opts);
   // get reverse bearing point 2 to point 1 & reverse it by adding 180º
   var h2 = (LatLong.bearing(p2, p1) + Math.PI) % (2*Math.PI);
   return h2;
 }
 
 
+/*
+ * Calculate distance between two points on the ellipsoid (WGS84 unless configured otherwise)
+ *   using Vincenty's inverse formula - accurate to within 0.5mm
+ */
+LatLong.distVincenty = function(p1, p2, opts) {
+  return LatLong.vincentyInverse(p1, p2, opts).dist;
+}
+
+
+/*
+ * Vincenty inverse solution: returns { dist, initBrng: radians, finalBrng: radians }
+ *
+ * from: T Vincenty, "Direct and Inverse Solutions of Geodesics on the Ellipsoid with
+ *       application of nested equations", Survey Review, vol XXII no 176, 1975
+ *       http://www.ngs.noaa.gov/PUBS_LIB/inverse.pdf
+ *
+ *   bearings are undefined (NaN) for coincident points. Exactly antipodal points are
+ *   solved as a meridian through the pole; nearly antipodal points for which the formula
+ *   does not converge throw an Error rather than quietly returning NaN.
+ */
+LatLong.vincentyInverse = function(p1, p2, opts) {
+  var model = LatLong._model(opts);
+  var a = model.ellipsoid.a, b = model.ellipsoid.b, f = model.ellipsoid.f;
+  var L = p2.lon - p1.lon;
+  var tanU1 = (1-f) * Math.tan(p1.lat), cosU1 = 1 / Math.sqrt(1 + tanU1*tanU1), sinU1 = tanU1 * cosU1;
+  var tanU2 = (1-f) * Math.tan(p2.lat), cosU2 = 1 / Math.sqrt(1 + tanU2*tanU2), sinU2 = tanU2 * cosU2;
+
+  // for (nearly) antipodal points start from the far side of the auxiliary sphere
+  var antipodal = Math.abs(L) > Math.PI/2 || Math.abs(p2.lat-p1.lat) > Math.PI/2;
+
+  var lambda = L, lambdaP, iterLimit = 1000;
+  var sinLambda, cosLambda, sinSqSigma = 0, sinSigma = 0, cosSigma = antipodal ? -1 : 1;
+  var sigma = antipodal ? Math.PI : 0, sinAlpha = 0, cosSqAlpha = 1, cos2SigmaM = 1, C;
+  do {
+    sinLambda = Math.sin(lambda);
+    cosLambda = Math.cos(lambda);
+    sinSqSigma = (cosU2*sinLambda) * (cosU2*sinLambda) +
+                 (cosU1*sinU2-sinU1*cosU2*cosLambda) * (cosU1*sinU2-sinU1*cosU2*cosLambda);
+    if (Math.abs(sinSqSigma) < 1e-24) break;      // co-incident or exactly antipodal points
+    sinSigma = Math.sqrt(sinSqSigma);
+    cosSigma = sinU1*sinU2 + cosU1*cosU2*cosLambda;
+    sigma = Math.atan2(sinSigma, cosSigma);
+    sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+    cosSqAlpha = 1 - sinAlpha*sinAlpha;
+    cos2SigmaM = cosSqAlpha != 0 ? cosSigma - 2*sinU1*sinU2/cosSqAlpha : 0;  // equatorial line: cosSqAlpha=0
+    C = f/16*cosSqAlpha*(4+f*(4-3*cosSqAlpha));
+    lambdaP = lambda;
+    lambda = L + (1-C) * f * sinAlpha *
+      (sigma + C*sinSigma*(cos2SigmaM+C*cosSigma*(-1+2*cos2SigmaM*cos2SigmaM)));
+    if ((antipodal ? Math.abs(lambda)-Math.PI : Math.abs(lambda)) > Math.PI)
+      throw new Error('Vincenty formula failed to converge: points are nearly antipodal');
+  } while (Math.abs(lambda-lambdaP) > 1e-12 && --iterLimit > 0);
+  if (iterLimit == 0)
+    throw new Error('Vincenty formula failed to converge: points are nearly antipodal');
+
+  var uSq = cosSqAlpha * (a*a - b*b) / (b*b);
+  var A = 1 + uSq/16384*(4096+uSq*(-768+uSq*(320-175*uSq)));
+  var B = uSq/1024 * (256+uSq*(-128+uSq*(74-47*uSq)));
+  var deltaSigma = B*sinSigma*(cos2SigmaM+B/4*(cosSigma*(-1+2*cos2SigmaM*cos2SigmaM)-
+    B/6*cos2SigmaM*(-3+4*sinSigma*sinSigma)*(-3+4*cos2SigmaM*cos2SigmaM)));
+  var s = b*A*(sigma-deltaSigma);
+
+  var initBrng = NaN, finalBrng = NaN;
+  if (s == 0) {
+    // coincident points have no bearing
+  } else if (Math.abs(sinSqSigma) < 1e-24) {
+    initBrng = 0; finalBrng = Math.PI;             // antipodal: over the north pole
+  } else {
+    initBrng = Math.atan2(cosU2*sinLambda, cosU1*sinU2-sinU1*cosU2*cosLambda);
+    finalBrng = Math.atan2(cosU1*sinLambda, -sinU1*cosU2+cosU1*sinU2*cosLambda);
+  }
+
+  return { dist: s / model.scale, initBrng: initBrng, finalBrng: finalBrng };
+}
+
+
+/*
+ * calculate destination point on the ellipsoid given start point, initial bearing
+ *   (degrees) and distance using Vincenty's direct formula
+ */
+LatLong.prototype.destPointVincenty = function(brng, dist, opts) {
+  return LatLong._vincentyDirect(this, brng, dist, opts).point;
+}
+
+
+/*
+ * calculate final bearing (in radians) arriving at destination point on the ellipsoid
+ *   given start point, initial bearing and distance
+ */
+LatLong.prototype.finalBrngVincenty = function(brng, dist, opts) {
+  return LatLong._vincentyDirect(this, brng, dist, opts).finalBrng;
+}
+
+
+/*
+ * Vincenty direct solution: returns { point: LatLong, finalBrng: radians } (internal use)
+ */
+LatLong._vincentyDirect = function(p1, brng, dist, opts) {
+  var model = LatLong._model(opts);
+  var a = model.ellipsoid.a, b = model.ellipsoid.b, f = model.ellipsoid.f;
+  var s = parseFloat(dist) * model.scale;
+  var alpha1 = LatLong.degToRad(brng);
+  var sinAlpha1 = Math.sin(alpha1), cosAlpha1 = Math.cos(alpha1);
+
+  var tanU1 = (1-f) * Math.tan(p1.lat), cosU1 = 1 / Math.sqrt(1 + tanU1*tanU1), sinU1 = tanU1 * cosU1;
+  var sigma1 = Math.atan2(tanU1, cosAlpha1);
+  var sinAlpha = cosU1 * sinAlpha1;
+  var cosSqAlpha = 1 - sinAlpha*sinAlpha;
+  var uSq = cosSqAlpha * (a*a - b*b) / (b*b);
+  var A = 1 + uSq/16384*(4096+uSq*(-768+uSq*(320-175*uSq)));
+  var B = uSq/1024 * (256+uSq*(-128+uSq*(74-47*uSq)));
+
+  var sigma = s / (b*A), sigmaP, iterLimit = 100;
+  var cos2SigmaM, sinSigma, cosSigma;
+  do {
+    cos2SigmaM = Math.cos(2*sigma1 + sigma);
+    sinSigma = Math.sin(sigma);
+    cosSigma = Math.cos(sigma);
+    var deltaSigma = B*sinSigma*(cos2SigmaM+B/4*(cosSigma*(-1+2*cos2SigmaM*cos2SigmaM)-
+      B/6*cos2SigmaM*(-3+4*sinSigma*sinSigma)*(-3+4*cos2SigmaM*cos2SigmaM)));
+    sigmaP = sigma;
+    sigma = s / (b*A) + deltaSigma;
+  } while (Math.abs(sigma-sigmaP) > 1e-12 && --iterLimit > 0);
+  if (iterLimit == 0) throw new Error('Vincenty formula failed to converge');
+  // the loop's values are from the sigma before last: use the converged one
+  cos2SigmaM = Math.cos(2*sigma1 + sigma);
+  sinSigma = Math.sin(sigma);
+  cosSigma = Math.cos(sigma);
+
+  var x = sinU1*sinSigma - cosU1*cosSigma*cosAlpha1;
+  var lat2 = Math.atan2(sinU1*cosSigma + cosU1*sinSigma*cosAlpha1, (1-f)*Math.sqrt(sinAlpha*sinAlpha + x*x));
+  var lambda = Math.atan2(sinSigma*sinAlpha1, cosU1*cosSigma - sinU1*sinSigma*cosAlpha1);
+  var C = f/16*cosSqAlpha*(4+f*(4-3*cosSqAlpha));
+  var L = lambda - (1-C) * f * sinAlpha *
+    (sigma + C*sinSigma*(cos2SigmaM+C*cosSigma*(-1+2*cos2SigmaM*cos2SigmaM)));
+
+  var p2 = new LatLong(0, 0);
+  p2.lat = lat2;
+  p2.lon = LatLong._normLon(p1.lon+L);
+
+  return { point: p2, finalBrng: Math.atan2(sinAlpha, -x) };
+}
+
+
 /*
  * calculate distance, bearing, destination point on rhumb line
  *   see http://williams.best.vwh.net/avform.htm#Rhumb
  */
-LatLong.distRhumb = function(p1, p2) {
-  var R = 6371; // earth's mean radius in km
+LatLong.distRhumb = function(p1, p2, opts) {
+  var R = LatLong._model(opts).R;
   var dLat = p2.lat-p1.lat, dLon = Math.abs(p2.lon-p1.lon);
   var dPhi = Math.log(Math.tan(p2.lat/2+Math.PI/4)/Math.tan(p1.lat/2+Math.PI/4));
   var q = dLat/dPhi;
@@ -173,8 +540,8 @@ LatLong.brngRhumb = function(p1, p2) {
 }
 
 
-LatLong.prototype.destPointRhumb = function(brng, dist) {
-  var R = 6371; // earth's mean radius in km
+LatLong.prototype.destPointRhumb = function(brng, dist, opts) {
+  var R = LatLong._model(opts).R;
   var p1 = this, p2 = new LatLong(0,0);
   var d = parseFloat(dist)/R;  // d = angular distance covered on earth's surface
   brng = LatLong.degToRad(brng);
@@ -186,7 +553,7 @@ LatLong.prototype.destPointRhumb = function(brng, dist) {
   var dLon = d*Math.sin(brng)/q;
   // check for some daft bugger going past the pole
   if (Math.abs(p2.lat) > Math.PI/2) p2.lat = p2.lat>0 ? Math.PI-p2.lat : -Math.PI-p2.lat;
-  p2.lon = (p1.lon+dLon+Math.PI)%(2*Math.PI) - Math.PI;
+  p2.lon = LatLong._normLon(p1.lon+dLon);
  
   if (isNaN(p2.lat) || isNaN(p2.lon)) return null;
   return p2;
@@ -199,9 +566,10 @@ LatLong.prototype.destPointRhumb = function(brng, dist) {
  *   this is very flexible on formats, allowing signed decimal degrees (numeric or text), or
  *   deg-min-sec suffixed by compass direction (NSEW). A variety of separators are accepted 
  *   (eg 3º 37' 09"W) or fixed-width format without separators (eg 0033709W). Seconds and minutes
- *   may be omitted. Minimal validation is done.
+ *   may be omitted. Minimal validation is done, unless opts.strict is set: see _strictLlToRad.
  */
-LatLong.llToRad = function(llDeg) {
+LatLong.llToRad = function(llDeg, opts) {
+  if (opts && opts.strict) return LatLong._strictLlToRad(llDeg, opts.field || null);
   if (!isNaN(llDeg)) return llDeg * Math.PI / 180;  // signed decimal degrees without NSEW
 
   llDeg = llDeg.replace(/[\s]*$/,'');               // strip trailing whitespace
@@ -226,11 +594,79 @@ LatLong.llToRad = function(llDeg) {
 // note: 'x-'.split(/-/) should give ['x',''] but in IE just gives ['x']
 
 
+/*
+ * strict version of llToRad (internal use): throws a CoordinateError unless the value is
+ *   a finite number, a decimal number string, or d-m-s with a compass letter - which must
+ *   be N/S for field 'lat' and E/W for 'lon'. Only the last of degrees, minutes & seconds
+ *   may have a fraction; minutes & seconds must be under 60, latitudes within 90° and
+ *   longitudes (or values of unknown field) within 180°.
+ */
+LatLong._strictLlToRad = function(llDeg, field) {
+  var fail = function(reason, part, message) {
+    throw new LatLong.CoordinateError(field, reason, llDeg, part, message);
+  };
+  var deg;
+
+  if (typeof llDeg == 'number') {
+    if (!isFinite(llDeg)) fail('syntax', null, 'not a finite number');
+    deg = llDeg;
+  } else if (typeof llDeg != 'string') {
+    fail('syntax', null, 'not a number or string');
+  } else {
+    var str = llDeg.replace(/^\s+|\s+$/g, '');
+    if (str == '') fail('empty', null, 'no value');
+
+    if (LatLong._isNumber(str)) {
+      deg = Number(str);
+    } else {
+      var dir = str.slice(-1).toUpperCase();
+      if (!/[NSEW]/.test(dir))
+        fail('direction', 'direction', 'not a number and no compass direction (N, S, E or W)');
+      if (field == 'lat' && /[EW]/.test(dir)) fail('direction', 'direction', 'latitude must be N or S');
+      if (field == 'lon' && /[NS]/.test(dir)) fail('direction', 'direction', 'longitude must be E or W');
+      if (!field) field = /[NS]/.test(dir) ? 'lat' : 'lon';
+
+      str = str.slice(0,-1).replace(/\s+$/, '');
+      var dms = str.split(/\s*[\s:,°º′\'″\"]\s*/);
+      if (dms[dms.length-1] == '') dms.length--;    // trailing separator
+      if (dms.length == 1 && /^\d+$/.test(dms[0])) {
+        // fixed width dddmmss (ddmmss for N/S), minutes & seconds optional
+        var fixed = /[NS]/.test(dir) ? '0' + dms[0] : dms[0];
+        if (!/^\d{3}(\d{2}(\d{2})?)?$/.test(fixed))
+          fail('syntax', null, 'fixed width d-m-s needs ' + (/[NS]/.test(dir) ? 2 : 3) +
+                               ' digits of degrees then 2 each of minutes & seconds');
+        dms = [ fixed.slice(0,3), fixed.slice(3,5), fixed.slice(5) ];
+        while (dms[dms.length-1] == '') dms.length--;
+      }
+      if (dms.length > 3) fail('syntax', null, 'too many parts for d-m-s');
+
+      var parts = [ 'degrees', 'minutes', 'seconds' ];
+      deg = 0;
+      for (var i = 0; i < dms.length; i++) {
+        if (!/^(\d+(\.\d*)?|\.\d+)$/.test(dms[i]))
+          fail('syntax', parts[i], 'bad ' + parts[i] + ' "' + dms[i] + '"');
+        if (i < dms.length-1 && /\./.test(dms[i]))
+          fail('syntax', parts[i], 'only the last part of d-m-s may have a fraction');
+        if (i > 0 && dms[i] >= 60) fail('range', parts[i], parts[i] + ' must be under 60');
+        deg += dms[i] / [ 1, 60, 3600 ][i];
+      }
+      if (/[WS]/.test(dir)) deg = -deg;
+    }
+  }
+
+  var max = field == 'lat' ? 90 : 180;
+  var what = field == 'lat' ? 'latitude' : field == 'lon' ? 'longitude' : 'degrees';
+  if (Math.abs(deg) > max) fail('range', 'degrees', what + ' must be within ±' + max + '°');
+  return deg * Math.PI / 180;
+}
+
+
 /* 
  * convert degrees to radians - used for bearing, so 360º with no N/S/E/W suffix
  *   can accept d/m/s, d/m, or decimal degrees
  */
 LatLong.degToRad = function(brng) {
+  if (typeof brng == 'number') return brng * Math.PI / 180;
   var dms = brng.split(/[\s:,º°\'\"′″]/)          // check for separators indicating d/m/s
   switch (dms.length) {                           // convert to decimal degrees...
     case 3:                                       // interpret 3-part result as d/m/s
@@ -246,17 +682,18 @@ LatLong.degToRad = function(brng) {
 
 /*
  * convert latitude into degrees, minutes, seconds; eg 51º28'38"N
+ *   opts (see LatLong._dms) may ask for degrees & decimal minutes, eg 51º28.650'N
  */
-LatLong.prototype.latitude = function() {
-  return LatLong._dms(this.lat).slice(1) + (this.lat<0 ? 'S' : 'N');
+LatLong.prototype.latitude = function(opts) {
+  return LatLong._dms(this.lat, opts).slice(1) + (this.lat<0 ? 'S' : 'N');
 }
 
 
 /*
  * convert longitude into degrees, minutes, seconds; eg 000º27'41"W
  */
-LatLong.prototype.longitude = function() {
-  return LatLong._dms(this.lon) + (this.lon>0 ? 'E' : 'W');
+LatLong.prototype.longitude = function(opts) {
+  return LatLong._dms(this.lon, opts) + (this.lon>0 ? 'E' : 'W');
 }
 
 
@@ -276,20 +713,86 @@ LatLong.radToBrng = function(rad) {
 }
 
 
+/*
+ * normalise a longitude in degrees to -180...+180 (strictly, [-180, 180)) - the degree
+ *   counterpart of the normalisation calculated points get
+ */
+LatLong.wrapLon = function(deg) {
+  return (deg % 360 + 540) % 360 - 180;
+}
+
+
 /*
  * convert radians to deg/min/sec, with no sign or compass dirn (internal use)
+ *
+ *   opts.format: 'dms' (default), 'ddm' (degrees & decimal minutes) or 'd' (decimal
+ *   degrees); opts.precision: decimal places of the last part (default 0)
  */
-LatLong._dms = function(rad) {
-  var d = Math.abs(rad * 180 / Math.PI);
-  d += 1/7200;  // add ½ second for rounding
-  var deg = Math.floor(d);
-  var min = Math.floor((d-deg)*60);
-  var sec = Math.floor((d-deg-min/60)*3600);
+LatLong._dms = function(rad, opts) {
+  var format = opts && opts.format || 'dms', dp = opts && opts.precision || 0;
+  var parts = { d: 1, ddm: 2, dms: 3 }[format];
+  if (!parts) throw new Error('Unknown DMS format ' + format);
+
+  // count in units of the last place, so rounding carries into the minutes & degrees
+  var per = [ 1, 60, 3600 ][parts-1] * Math.pow(10, dp);
+  var n = Math.round(Math.abs(rad * 180 / Math.PI) * per);
+  var deg = Math.floor(n / per), rest = n - deg * per, scale = Math.pow(10, dp);
+  var min = parts == 3 ? Math.floor(rest / (60 * scale)) : rest / scale;
+  var sec = parts == 3 ? (rest - min * 60 * scale) / scale : 0;
+
   // add leading zeros if required
-  if (deg<100) deg = '0' + deg; if (deg<10) deg = '0' + deg;
-  if (min<10) min = '0' + min;
-  if (sec<10) sec = '0' + sec;
-  return deg + '\u00B0' + min + '\u2032' + sec + '\u2033';
+  var pad = function(num, digits, places) {
+    var str = num.toFixed(places);
+    while (str.split('.')[0].length < digits) str = '0' + str;
+    return str;
+  };
+  if (parts == 1) return pad(n / scale, 3, dp) + '\u00B0';
+  deg = pad(deg, 3, 0);
+  if (parts == 2) return deg + '\u00B0' + pad(min, 2, dp) + '\u2032';
+  return deg + '\u00B0' + pad(min, 2, 0) + '\u2032' + pad(sec, 2, dp) + '\u2033';
+}
+
+
+/*
+ * normalise a longitude in radians to [-pi, pi), ie -180...+180 (internal use)
+ */
+LatLong._normLon = function(rad) {
+  return rad - 2*Math.PI * Math.floor((rad + Math.PI) / (2*Math.PI));
+}
+
+
+/*
+ * is the value (a string) a plain decimal number? (internal use)
+ */
+LatLong._isNumber = function(str) {
+  return /^[-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/.test(str);
+}
+
+
+/*
+ * throw a CoordinateError unless p is a point with a finite latitude within ±90° and
+ *   a finite longitude (internal use)
+ */
+LatLong._checkPoint = function(p) {
+  if (!p || typeof p.lat != 'number' || !(Math.abs(p.lat) <= Math.PI/2))
+    throw new LatLong.CoordinateError('lat', 'range', p && p.lat, null, 'latitude must be within ±pi/2');
+  if (typeof p.lon != 'number' || !isFinite(p.lon))
+    throw new LatLong.CoordinateError('lon', 'range', p.lon, null, 'longitude must be a finite number');
+}
+
+
+/*
+ * throw a CoordinateError unless the point, bearing (as for degToRad) and distance make a
+ *   move (internal use)
+ */
+LatLong._checkMove = function(p, brng, dist) {
+  LatLong._checkPoint(p);
+  var okBrng = typeof brng == 'number' ? isFinite(brng)
+                                       : typeof brng == 'string' && isFinite(LatLong.degToRad(brng));
+  if (!okBrng) throw new LatLong.CoordinateError('brng', 'syntax', brng, null, 'not a bearing');
+  var okDist = typeof dist == 'number' ? isFinite(dist)
+                                       : typeof dist == 'string' && LatLong._isNumber(dist.replace(/^\s+|\s+$/g, ''));
+  if (!okDist) throw new LatLong.CoordinateError('dist', 'syntax', dist, null, 'not a distance');
 }
 
 
@@ -516,20 +1019,33 @@ var cities = [
     [ 'Zimbabwe', 'Harare', -17.43, 31.2 ]
 ];
 
-var todo = cities.length;
-if (todo > 20) {
-    todo = 20;
+/*
+ * export for CommonJS loaders (node); in the browser or a shell LatLong is just a global
+ */
+if (typeof module != 'undefined' && module.exports) {
+  module.exports.LatLong = LatLong;
+  module.exports.cities = cities;
 }
 
-for (var i = 0; i < todo; i++) {
-    for (var j = 0; j < todo; j++) {
-        var c1 = cities[i];
-        var c2 = cities[j];
-        var p1 = new LatLong(c1[2], c1[3]);
-        var p2 = new LatLong(c2[2], c2[3]);
-        var dist = LatLong.distHaversine(p1, p2)
+/*
+ * when run directly from a JavaScript shell print the distance matrix (in metres)
+ * for the first 20 cities - this is where the figures in t/02.hav-dist.t came from
+ */
+if (typeof module == 'undefined' && typeof print == 'function') {
+  var todo = cities.length;
+  if (todo > 20) {
+      todo = 20;
+  }
 
-        print(dist * 1000 + ',');
-    }
-}
+  for (var i = 0; i < todo; i++) {
+      for (var j = 0; j < todo; j++) {
+          var c1 = cities[i];
+          var c2 = cities[j];
+          var p1 = new LatLong(c1[2], c1[3]);
+          var p2 = new LatLong(c2[2], c2[3]);
+          var dist = LatLong.distHaversine(p1, p2, { units: 'm' })
 
+          print(dist + ',');
+      }
+  }
+}
@@ -0,0 +1,603 @@
+/*
+ * TrackReader object - methods summary
+ *
+ *   reader = new TrackReader('gpx', { point: function(pt) {...}, error: function(err) {...} })
+ *   reader.write(text)
+ *   reader.end()
+ *
+ *   res = TrackReader.parse(text, 'nmea')    // { points: [...], errors: [...] }
+ *   secs = TrackReader.parseTime('2007-02-23T10:15:00Z')
+ *
+ * formats:
+ *   gpx  - GPX 1.0 or 1.1 trkpt, rtept and wpt elements
+ *   kml  - KML gx:Track (when/gx:coord lists, plus hdop/sat gx:SimpleArrayData)
+ *   nmea - $GPRMC and $GPGGA sentences (any talker), merged per fix
+ *   csv  - delimited text with a header row naming the columns (see TrackReader.csvColumns)
+ *
+ * Text may be written in chunks of any size as it arrives. Each point is a LatLong with
+ * a time property (seconds since the epoch) and, where the source has them, ele (metres),
+ * hdop and sat properties - ready to hand to ByTime.
+ *
+ * Malformed records are not dropped silently: each produces an error object
+ *   { format, line, column, element, message }
+ * (column and element for the XML formats only) which is passed to the error callback and
+ * kept in reader.errors. Without a point callback points are collected in reader.points.
+ */
+
+if (typeof LatLong == 'undefined' && typeof require == 'function') {
+  var LatLong = require('./hav.js').LatLong;
+}
+if (typeof ByTime == 'undefined' && typeof require == 'function') {
+  var ByTime = require('./bytime.js').ByTime;
+}
+if (typeof Coords == 'undefined' && typeof require == 'function') {
+  var Coords = require('./coords.js').Coords;
+}
+
+
+/*
+ * TrackReader constructor:
+ *
+ *   format is one of the keys of TrackReader.formats; opts may contain point and error
+ *   callbacks plus any format specific options (csv: columns, delimiter)
+ */
+function TrackReader(format, opts) {
+  if (!TrackReader.formats.hasOwnProperty(format)) throw new Error('Unknown track format: ' + format);
+  this.format = format;
+  this.opts = opts || {};
+  this.points = [];
+  this.errors = [];
+  this.parser = TrackReader.formats[format](this);
+}
+
+
+/*
+ * feed the next chunk of text to the parser
+ */
+TrackReader.prototype.write = function(text) {
+  this.parser.write(String(text));
+}
+
+
+/*
+ * signal the end of the input, flushing anything still buffered
+ */
+TrackReader.prototype.end = function() {
+  this.parser.end();
+}
+
+
+/*
+ * parse a complete document in one go
+ */
+TrackReader.parse = function(text, format, opts) {
+  var reader = new TrackReader(format, opts);
+  reader.write(text);
+  reader.end();
+  return { points: reader.points, errors: reader.errors };
+}
+
+
+/*
+ * convert an ISO 8601 date/time to seconds since the epoch (see ByTime.parseTime)
+ */
+TrackReader.parseTime = function(str) {
+  return ByTime.parseTime(str);
+}
+
+
+/*
+ * pass on a parsed point, after checking its values (internal use)
+ *
+ *   pos is { line, column, element } identifying where the record came from
+ */
+TrackReader.prototype._point = function(pos, lat, lon, time, extra) {
+  var problem = TrackReader._check(lat, lon, time);
+  if (problem) return this._error(pos, problem);
+
+  var pt = new LatLong(Number(lat), Number(lon));
+  pt.time = time;
+  for (var k in extra) {
+    if (extra[k] == null || extra[k] === '') continue;
+    if (isNaN(extra[k])) return this._error(pos, 'bad ' + k + ' "' + extra[k] + '"');
+    pt[k] = Number(extra[k]);
+  }
+
+  if (this.opts.point) this.opts.point(pt);
+  else this.points.push(pt);
+}
+
+
+/*
+ * report a malformed record (internal use)
+ */
+TrackReader.prototype._error = function(pos, message) {
+  var err = { format: this.format, line: pos.line };
+  if (pos.column != null) err.column = pos.column;
+  if (pos.element != null) err.element = pos.element;
+  err.message = message;
+
+  this.errors.push(err);
+  if (this.opts.error) this.opts.error(err);
+}
+
+
+/*
+ * return a description of what's wrong with a point's values, or null if they're ok
+ *   (internal use)
+ */
+TrackReader._check = function(lat, lon, time) {
+  if (lat == null || lat === '' || isNaN(lat)) return 'bad latitude "' + (lat == null ? '' : lat) + '"';
+  if (lon == null || lon === '' || isNaN(lon)) return 'bad longitude "' + (lon == null ? '' : lon) + '"';
+  if (Math.abs(lat) > 90) return 'latitude ' + lat + ' out of range';
+  if (Math.abs(lon) > 180) return 'longitude ' + lon + ' out of range';
+  if (time == null) return 'no time';
+  if (!isFinite(time)) return 'bad time';
+  return null;
+}
+
+
+/*
+ * split streamed text into lines, calling fn(line, lineNo) for each (internal use)
+ */
+TrackReader._lines = function(fn) {
+  var buf = '', lineNo = 0;
+  return {
+    write: function(text) {
+      buf += text;
+      var nl;
+      while ((nl = buf.indexOf('\n')) >= 0) {
+        fn(buf.slice(0, nl).replace(/\r$/, ''), ++lineNo);
+        buf = buf.slice(nl + 1);
+      }
+    },
+    end: function() {
+      if (buf != '') fn(buf.replace(/\r$/, ''), ++lineNo);
+      buf = '';
+    }
+  };
+}
+
+
+/*
+ * format parsers: each is given the reader and returns an object with write(text) and
+ *   end() methods which call reader._point() and reader._error()
+ */
+TrackReader.formats = {
+
+  gpx: function(reader) {
+    var fields = { ele: 1, time: 1, hdop: 1, sat: 1 };
+    var cur = null, field = null, text = '';
+
+    return new TrackReader._Xml(reader, {
+      open: function(name, attrs, pos) {
+        name = TrackReader._Xml.local(name);
+        if (name == 'trkpt' || name == 'rtept' || name == 'wpt') {
+          cur = { name: name, lat: attrs.lat, lon: attrs.lon, pos: pos };
+        } else if (cur && fields[name]) {
+          field = name;
+          text = '';
+        }
+      },
+      text: function(str) {
+        if (field) text += str;
+      },
+      close: function(name) {
+        name = TrackReader._Xml.local(name);
+        if (field && name == field) {
+          cur[field] = TrackReader._trim(text);
+          field = null;
+        } else if (cur && name == cur.name) {
+          var time = cur.time == null ? null : TrackReader.parseTime(cur.time);
+          reader._point(cur.pos, cur.lat, cur.lon, time, { ele: cur.ele, hdop: cur.hdop, sat: cur.sat });
+          cur = null;
+        }
+      }
+    });
+  },
+
+  kml: function(reader) {
+    var track = null, field = null, text = '', array = null;
+
+    return new TrackReader._Xml(reader, {
+      open: function(name, attrs, pos) {
+        name = TrackReader._Xml.local(name);
+        if (name == 'Track') {
+          track = { pos: pos, when: [], coord: [], arrays: {} };
+        } else if (track && (name == 'when' || name == 'coord')) {
+          field = { name: name, pos: pos };
+          text = '';
+        } else if (track && name == 'SimpleArrayData') {
+          array = track.arrays[attrs.name] = [];
+        } else if (array && name == 'value') {
+          field = { name: 'value', pos: pos };
+          text = '';
+        }
+      },
+      text: function(str) {
+        if (field) text += str;
+      },
+      close: function(name, pos) {
+        name = TrackReader._Xml.local(name);
+        if (field && name == field.name) {
+          field.text = TrackReader._trim(text);
+          (name == 'value' ? array : track[name]).push(field);
+          field = null;
+        } else if (name == 'SimpleArrayData') {
+          array = null;
+        } else if (track && name == 'Track') {
+          TrackReader._kmlTrack(reader, track);
+          track = null;
+        }
+      }
+    });
+  },
+
+  nmea: function(reader) {
+    var fix = null, date = null;
+
+    // emit the fix gathered from the sentences for one time of day
+    function flush() {
+      if (!fix) return;
+      var f = fix;
+      fix = null;
+      if (!f.pos) return;                        // no usable position: already reported
+      var day = f.date || date;
+      if (!day) return reader._error({ line: f.line }, 'no date for fix (no RMC sentence seen)');
+      var time = Date.UTC(day.year, day.month-1, day.day) / 1000 + f.tod;
+      if (!f.date && f.tod < day.tod) time += 86400;   // past midnight since the last RMC
+      reader._point({ line: f.line }, f.pos.lat, f.pos.lon, time, { ele: f.ele, hdop: f.hdop, sat: f.sat });
+    }
+
+    var lines = TrackReader._lines(function(line, lineNo) {
+      var pos = { line: lineNo };
+      line = TrackReader._trim(line);
+      if (line == '') return;
+
+      var m = /^\$([^*]*)(?:\*([0-9A-Fa-f]{2}))?$/.exec(line);
+      if (!m) return reader._error(pos, 'malformed NMEA sentence');
+      if (m[2] && parseInt(m[2], 16) != TrackReader._nmeaChecksum(m[1]))
+        return reader._error(pos, 'checksum mismatch');
+
+      var f = m[1].split(',');
+      var type = /^[A-Z]{2}(RMC|GGA)$/.test(f[0]) ? f[0].slice(2) : null;
+      if (!type) return;                           // not a sentence we use
+
+      var tod = TrackReader._nmeaTime(f[1]);
+      if (tod == null) return reader._error(pos, 'bad ' + type + ' time "' + f[1] + '"');
+      if (fix && fix.tod != tod) flush();
+      if (!fix) fix = { tod: tod, line: lineNo };
+
+      if (type == 'RMC') {
+        if (f[2] != 'A') return reader._error(pos, 'RMC fix not valid (status ' + f[2] + ')');
+        var d = /^(\d\d)(\d\d)(\d\d)$/.exec(f[9]);
+        if (!d) return reader._error(pos, 'bad RMC date "' + f[9] + '"');
+        fix.date = date = { day: d[1]/1, month: d[2]/1, year: (d[3] < 80 ? 2000 : 1900) + d[3]/1, tod: tod };
+        var ll = Coords.nmeaLatLon(f[3], f[4], f[5], f[6]);
+      } else {
+        if (f[6] == '0' || f[6] == '') return reader._error(pos, 'GGA fix not valid (quality ' + f[6] + ')');
+        var ll = Coords.nmeaLatLon(f[2], f[3], f[4], f[5]);
+        fix.sat = f[7];
+        fix.hdop = f[8];
+        fix.ele = f[9];
+      }
+      if (typeof ll == 'string') return reader._error(pos, ll);
+      fix.pos = ll;
+    });
+
+    // each fix is held back until a sentence for the next one arrives, so flush at the end
+    return { write: lines.write, end: function() { lines.end(); flush(); } };
+  },
+
+  csv: function(reader) {
+    var opts = reader.opts, cols = null, delim = opts.delimiter;
+
+    return TrackReader._lines(function(line, lineNo) {
+      var pos = { line: lineNo };
+      if (TrackReader._trim(line) == '') return;
+
+      if (!delim) delim = TrackReader._csvDelimiter(line);
+      var fields = TrackReader._csvSplit(line, delim);
+      if (fields == null) return reader._error(pos, 'unbalanced quotes');
+
+      if (!cols) {
+        cols = TrackReader._csvHeader(fields, opts.columns);
+        if (typeof cols == 'string') {
+          reader._error(pos, cols);
+          cols = {};                               // report once, then reject every row
+        }
+        cols.count = fields.length;
+        return;
+      }
+      if (cols.lat == null) return reader._error(pos, 'no usable header row');
+      if (fields.length != cols.count)
+        return reader._error(pos, 'expected ' + cols.count + ' fields, got ' + fields.length);
+
+      var time = fields[cols.time];
+      time = /^\s*[-+]?\d+(\.\d*)?\s*$/.test(time) ? Number(time) : TrackReader.parseTime(time);
+      var extra = {};
+      for (var k in { ele: 1, hdop: 1, sat: 1 }) if (cols[k] != null) extra[k] = TrackReader._trim(fields[cols[k]]);
+      reader._point(pos, TrackReader._trim(fields[cols.lat]), TrackReader._trim(fields[cols.lon]), time, extra);
+    });
+  }
+};
+
+
+/*
+ * CSV column names recognised in the header row (lower case); override per reader with
+ *   the columns option, eg { lat: 'Y', lon: 'X', time: 'Stamp' }
+ */
+TrackReader.csvColumns = {
+  lat:  [ 'lat', 'latitude' ],
+  lon:  [ 'lon', 'lng', 'long', 'longitude' ],
+  time: [ 'time', 'timestamp', 'datetime', 'date_time', 'utc' ],
+  ele:  [ 'ele', 'elevation', 'alt', 'altitude' ],
+  hdop: [ 'hdop' ],
+  sat:  [ 'sat', 'sats', 'satellites', 'numsats' ]
+};
+
+
+/*
+ * map header fields to column indexes; returns a message if required columns are missing
+ *   (internal use)
+ */
+TrackReader._csvHeader = function(fields, columns) {
+  var cols = {}, names = {};
+  for (var i = 0; i < fields.length; i++) names[TrackReader._trim(fields[i]).toLowerCase()] = i;
+
+  for (var k in TrackReader.csvColumns) {
+    var want = columns && columns[k] ? [ columns[k].toLowerCase() ] : TrackReader.csvColumns[k];
+    for (var j = 0; j < want.length && cols[k] == null; j++) {
+      if (names.hasOwnProperty(want[j])) cols[k] = names[want[j]];
+    }
+  }
+
+  var missing = [];
+  if (cols.lat == null) missing.push('lat');
+  if (cols.lon == null) missing.push('lon');
+  if (cols.time == null) missing.push('time');
+  if (missing.length) return 'header has no ' + missing.join(', ') + ' column';
+  return cols;
+}
+
+
+/*
+ * guess the delimiter from the header line: whichever of , ; or tab is most common
+ *   (internal use)
+ */
+TrackReader._csvDelimiter = function(line) {
+  var best = ',', bestCount = 0, cands = [ ',', ';', '\t' ];
+  for (var i = 0; i < cands.length; i++) {
+    var count = line.split(cands[i]).length - 1;
+    if (count > bestCount) { best = cands[i]; bestCount = count; }
+  }
+  return best;
+}
+
+
+/*
+ * split a line of delimited text, honouring double quotes ("" is a literal quote);
+ *   returns null if the quotes don't balance (internal use)
+ */
+TrackReader._csvSplit = function(line, delim) {
+  var fields = [], field = '', quoted = false;
+  for (var i = 0; i < line.length; i++) {
+    var c = line.charAt(i);
+    if (quoted) {
+      if (c == '"' && line.charAt(i+1) == '"') { field += '"'; i++; }
+      else if (c == '"') quoted = false;
+      else field += c;
+    } else if (c == '"') {
+      quoted = true;
+    } else if (c == delim) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) return null;
+  fields.push(field);
+  return fields;
+}
+
+
+/*
+ * pair up the when and gx:coord lists of a KML track (internal use)
+ */
+TrackReader._kmlTrack = function(reader, track) {
+  var n = track.when.length;
+  if (track.coord.length != n)
+    return reader._error(track.pos, 'track has ' + n + ' <when> but ' + track.coord.length + ' <gx:coord>');
+
+  var hdop = track.arrays.hdop || [], sat = track.arrays.sat || track.arrays.sats || [];
+  for (var i = 0; i < n; i++) {
+    var coord = track.coord[i].text.split(/\s+/);  // lon lat [alt]
+    if (coord.length < 2 || coord.length > 3) {
+      reader._error(track.coord[i].pos, 'bad coordinates "' + track.coord[i].text + '"');
+      continue;
+    }
+    reader._point(track.when[i].pos, coord[1], coord[0], TrackReader.parseTime(track.when[i].text), {
+      ele: coord[2],
+      hdop: hdop[i] && hdop[i].text,
+      sat: sat[i] && sat[i].text
+    });
+  }
+}
+
+
+/*
+ * NMEA checksum: xor of the characters between $ and * (internal use)
+ */
+TrackReader._nmeaChecksum = function(body) {
+  var sum = 0;
+  for (var i = 0; i < body.length; i++) sum ^= body.charCodeAt(i);
+  return sum;
+}
+
+
+/*
+ * NMEA hhmmss.ss to seconds since midnight, or null (internal use)
+ */
+TrackReader._nmeaTime = function(str) {
+  var m = /^(\d\d)(\d\d)(\d\d(?:\.\d*)?)$/.exec(str);
+  if (!m || m[1] > 23 || m[2] > 59 || m[3] >= 61) return null;
+  return m[1]*3600 + m[2]*60 + parseFloat(m[3]);
+}
+
+
+/*
+ * strip leading and trailing whitespace (internal use)
+ */
+TrackReader._trim = function(str) {
+  return String(str).replace(/^\s+|\s+$/g, '');
+}
+
+
+/*
+ * minimal streaming XML tokenizer for the track formats (internal use): calls
+ *   handler.open(name, attrs, pos), handler.text(str) and handler.close(name, pos), and
+ *   reports badly formed markup through reader._error()
+ */
+TrackReader._Xml = function(reader, handler) {
+  this.reader = reader;
+  this.handler = handler;
+  this.buf = '';
+  this.line = 1;
+  this.column = 1;
+  this.stack = [];
+}
+
+
+/*
+ * strip any namespace prefix from an element name
+ */
+TrackReader._Xml.local = function(name) {
+  return name.slice(name.indexOf(':') + 1);
+}
+
+
+TrackReader._Xml.prototype.write = function(text) {
+  this.buf += text;
+  this._lex(false);
+}
+
+
+TrackReader._Xml.prototype.end = function() {
+  this._lex(true);
+  if (this.buf != '') this._fail('unterminated markup');
+  for (var i = this.stack.length - 1; i >= 0; i--)
+    this.reader._error(this.stack[i].pos, '<' + this.stack[i].name + '> not closed');
+  this.stack = [];
+}
+
+
+TrackReader._Xml.prototype._lex = function(final) {
+  while (this.buf != '') {
+    var buf = this.buf;
+
+    if (buf.charAt(0) != '<') {
+      var lt = buf.indexOf('<');
+      if (lt < 0 && !final) return;              // wait for the rest of the text
+      var text = lt < 0 ? buf : buf.slice(0, lt);
+      this.handler.text(TrackReader._Xml.decode(text));
+      this._advance(text.length);
+      continue;
+    }
+
+    var end, skip = true;
+    if (buf.slice(0, 4) == '<!--') end = buf.indexOf('-->', 4) + 3;
+    else if (buf.slice(0, 9) == '<![CDATA[') { end = buf.indexOf(']]>', 9) + 3; skip = false; }
+    else if (buf.slice(0, 2) == '<?') end = buf.indexOf('?>', 2) + 2;
+    else if (!final && buf.length < 9 && buf.indexOf('>') < 0) return;
+    else if (buf.slice(0, 2) == '<!') end = buf.indexOf('>', 2) + 1;
+    else { end = TrackReader._Xml.tagEnd(buf) + 1; skip = null; }
+
+    if (end <= 2) return;                         // terminator not found yet
+
+    var markup = buf.slice(0, end);
+    if (skip === false) this.handler.text(markup.slice(9, -3));
+    else if (skip === null) this._tag(markup);
+    this._advance(end);
+  }
+}
+
+
+TrackReader._Xml.prototype._tag = function(markup) {
+  var pos = { line: this.line, column: this.column };
+  var m = /^<(\/?)([^\s\/>]+)/.exec(markup);
+  if (!m) return this._fail('bad tag ' + markup);
+  pos.element = m[2];
+
+  if (m[1]) {
+    var top = this.stack.pop();
+    if (!top) return this.reader._error(pos, 'unexpected </' + m[2] + '>');
+    if (top.name != m[2]) {
+      this.reader._error(pos, 'expected </' + top.name + '>, found </' + m[2] + '>');
+      // recover by closing everything up to a matching element, if there is one
+      while (top && top.name != m[2]) top = this.stack.pop();
+      if (!top) return;
+    }
+    return this.handler.close(m[2], pos);
+  }
+
+  var attrs = {}, re = /([^\s=\/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, a;
+  var body = markup.slice(m[0].length);
+  while ((a = re.exec(body))) attrs[a[1]] = TrackReader._Xml.decode(a[2] != null ? a[2] : a[3]);
+
+  this.handler.open(m[2], attrs, pos);
+  if (/\/>$/.test(markup)) this.handler.close(m[2], pos);
+  else this.stack.push({ name: m[2], pos: pos });
+}
+
+
+TrackReader._Xml.prototype._advance = function(n) {
+  var consumed = this.buf.slice(0, n);
+  var lines = consumed.split('\n');
+  if (lines.length > 1) {
+    this.line += lines.length - 1;
+    this.column = lines[lines.length-1].length + 1;
+  } else {
+    this.column += n;
+  }
+  this.buf = this.buf.slice(n);
+}
+
+
+TrackReader._Xml.prototype._fail = function(message) {
+  this.reader._error({ line: this.line, column: this.column }, message);
+  this.buf = '';
+}
+
+
+/*
+ * index of the > closing the tag at the start of buf, ignoring any in quoted attribute
+ *   values, or -1
+ */
+TrackReader._Xml.tagEnd = function(buf) {
+  var quote = null;
+  for (var i = 1; i < buf.length; i++) {
+    var c = buf.charAt(i);
+    if (quote) { if (c == quote) quote = null; }
+    else if (c == '"' || c == "'") quote = c;
+    else if (c == '>') return i;
+  }
+  return -1;
+}
+
+
+/*
+ * replace character and predefined entity references
+ */
+TrackReader._Xml.decode = function(str) {
+  var named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+  return str.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, function(all, ref) {
+    if (ref.charAt(0) != '#') return named.hasOwnProperty(ref) ? named[ref] : all;
+    return String.fromCharCode(ref.charAt(1) == 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10));
+  });
+}
+
+
+if (typeof module != 'undefined' && module.exports) {
+  module.exports.TrackReader = TrackReader;
+}
@@ -0,0 +1,253 @@
+/*
+ * SpatialIndex object - methods summary
+ *
+ *   index = new SpatialIndex(points, opts)
+ *   index.add(points)
+ *
+ *   near = index.nearest(place, k)
+ *   near = index.within(place, radius)
+ *   pts = index.inBox({ south: 50, west: 170, north: 60, east: -170 })
+ *
+ * points is a ByTime index (its fixes are added) or an array of
+ *   LatLongs (radians, as usual)
+ *   objects with latitude() and longitude() methods
+ *   { lat, lon } objects in degrees
+ *   anything else opts.position() knows where to put, eg the rows of the cities table:
+ *     new SpatialIndex(cities, { position: function(c) { return { lat: c[2], lon: c[3] }; } })
+ *
+ * nearest() and within() take a place in any of the first three forms and return
+ *   [ { point: as added (the original object for a ByTime fix), dist: metres, brng:
+ *       initial bearing in degrees from the place to the point, index: order added } ]
+ * closest first; inBox() returns the same without dist and brng, in the order added.
+ * A box whose west edge is east of its east edge crosses the antimeridian.
+ *
+ * Points are kept in a grid of opts.cellSize degree cells (default: sized for about four
+ * points per cell over the area they cover; columns are narrowed to fit a whole number
+ * round the world), wrapping round in longitude; searches around the poles take in every
+ * longitude, so both the antimeridian and the poles are handled exactly.
+ */
+
+if (typeof LatLong == 'undefined' && typeof require == 'function') {
+  var LatLong = require('./hav.js').LatLong;
+}
+if (typeof ByTime == 'undefined' && typeof require == 'function') {
+  var ByTime = require('./bytime.js').ByTime;
+}
+
+
+/*
+ * SpatialIndex constructor:
+ *
+ *   points: a ByTime or an array of points
+ *   opts: position(point) giving { lat, lon } (degrees) or a LatLong for points that
+ *   aren't one already, cellSize in degrees
+ */
+function SpatialIndex(points, opts) {
+  this.opts = opts || {};
+  this.points = [];                               // [ { lat, lon, point } ] in degrees
+  this.cells = null;
+  if (points) this.add(points);
+}
+
+
+/*
+ * add a ByTime's fixes or an array of points to the index - the grid is rebuilt when
+ *   next searched
+ */
+SpatialIndex.prototype.add = function(points) {
+  var fixes = points instanceof ByTime;
+  if (fixes) points = points.getPoints();
+  if (!(points instanceof Array)) throw new Error('SpatialIndex needs an array of points');
+
+  for (var i = 0; i < points.length; i++) {
+    var pt = points[i];
+    var pos = SpatialIndex._position(this.opts.position ? this.opts.position(pt) : pt);
+    this.points.push({ lat: pos.lat, lon: pos.lon, point: fixes && pt.orig ? pt.orig : pt });
+  }
+  this.cells = null;
+}
+
+
+/*
+ * the k points closest to place (default 1)
+ */
+SpatialIndex.prototype.nearest = function(place, k) {
+  k = k == null ? 1 : k;
+  if (!(k >= 1) || !this.points.length) return [];
+  k = Math.min(k, this.points.length);
+
+  // search ever wider circles: once one holds k points they're the k nearest
+  var radius = this._grid().size * 111320, found;
+  for (;;) {
+    found = this.within(place, radius);
+    if (found.length >= k || radius > SpatialIndex._halfWorld()) break;
+    radius *= 4;
+  }
+  return found.slice(0, k);
+}
+
+
+/*
+ * all points within radius metres of place
+ */
+SpatialIndex.prototype.within = function(place, radius) {
+  var c = SpatialIndex._position(place), units = { units: 'm' };
+  var R = LatLong._model(units).R, grid = this._grid(), res = [];
+  var from = new LatLong(c.lat, c.lon), d = radius / R;
+
+  // bounding box of the circle (http://janmatuschek.de/LatitudeLongitudeBoundingCoordinates)
+  var dLat = d * 180 / Math.PI, south = c.lat - dLat, north = c.lat + dLat, west, east;
+  var sinD = Math.sin(Math.min(d, Math.PI / 2)), cosLat = Math.cos(c.lat * Math.PI / 180);
+  if (south <= -90 || north >= 90 || d >= Math.PI / 2 || sinD >= cosLat) {
+    west = -180; east = 180;                      // reaches a pole: every longitude
+  } else {
+    var dLon = Math.asin(sinD / cosLat) * 180 / Math.PI;
+    west = c.lon - dLon; east = c.lon + dLon;
+  }
+
+  var candidates = this._cellPoints(Math.max(south, -90), west, Math.min(north, 90), east);
+  for (var i = 0; i < candidates.length; i++) {
+    var p = this.points[candidates[i]], to = new LatLong(p.lat, p.lon);
+    var dist = LatLong.distHaversine(from, to, units);
+    if (dist > radius) continue;
+    res.push({
+      point: p.point, dist: dist, index: candidates[i],
+      brng: dist > 0 ? (LatLong.bearing(from, to) * 180 / Math.PI + 360) % 360 : null
+    });
+  }
+  res.sort(function(a, b) { return a.dist - b.dist || a.index - b.index; });
+  return res;
+}
+
+
+/*
+ * all points in a { south, west, north, east } box (degrees)
+ */
+SpatialIndex.prototype.inBox = function(box) {
+  var west = LatLong.wrapLon(box.west), east = LatLong.wrapLon(box.east), res = [];
+  if (box.east - box.west >= 360) { west = -180; east = 180; }
+  else if (east < west) east += 360;              // crosses the antimeridian
+
+  var candidates = this._cellPoints(box.south, west, box.north, east);
+  for (var i = 0; i < candidates.length; i++) {
+    var p = this.points[candidates[i]], lon = p.lon;
+    if (lon < west) lon += 360;
+    if (p.lat >= box.south && p.lat <= box.north && lon >= west && lon <= east)
+      res.push({ point: p.point, index: candidates[i] });
+  }
+  res.sort(function(a, b) { return a.index - b.index; });
+  return res;
+}
+
+
+/*
+ * the grid of cells, built if need be: { size: degrees, rows, cols, width: of a column
+ *   (360 / cols, so the columns meet at the antimeridian), cells: { 'row,col': [ indexes ] },
+ *   occupied: [ { row, col, points: indexes } ] } (internal use)
+ */
+SpatialIndex.prototype._grid = function() {
+  if (this.cells) return this.cells;
+  var size = this.opts.cellSize, pts = this.points;
+  if (!size) {
+    var south = 90, north = -90, west = 180, east = -180;
+    for (var i = 0; i < pts.length; i++) {
+      south = Math.min(south, pts[i].lat); north = Math.max(north, pts[i].lat);
+      west = Math.min(west, pts[i].lon); east = Math.max(east, pts[i].lon);
+    }
+    var area = Math.max(0, north - south) * (east - west > 180 ? 360 : Math.max(0, east - west));
+    size = Math.min(10, Math.max(1e-5, Math.sqrt(area * 4 / Math.max(1, pts.length))));
+  }
+
+  var cols = Math.ceil(360 / size);
+  var grid = {
+    size: size, rows: Math.ceil(180 / size), cols: cols, width: 360 / cols, cells: {}, occupied: []
+  };
+  for (var i = 0; i < pts.length; i++) {
+    var row = SpatialIndex._row(grid, pts[i].lat), col = SpatialIndex._col(grid, pts[i].lon);
+    var key = row + ',' + col;
+    if (!grid.cells[key]) {
+      grid.cells[key] = [];
+      grid.occupied.push({ row: row, col: col, points: grid.cells[key] });
+    }
+    grid.cells[key].push(i);
+  }
+  return this.cells = grid;
+}
+
+
+/*
+ * indexes of the points in the cells overlapping a box - west...east may run past +180
+ *   (internal use)
+ */
+SpatialIndex.prototype._cellPoints = function(south, west, north, east) {
+  var grid = this._grid(), res = [];
+  var r0 = SpatialIndex._row(grid, south), r1 = SpatialIndex._row(grid, north);
+  var c0 = Math.floor((west + 180) / grid.width), c1 = Math.floor((east + 180) / grid.width);
+  if (c1 - c0 + 1 >= grid.cols) { c0 = 0; c1 = grid.cols - 1; }
+
+  // a wide search of a fine grid: quicker to go through the cells with points in
+  if ((r1 - r0 + 1) * (c1 - c0 + 1) > grid.occupied.length) {
+    for (var i = 0; i < grid.occupied.length; i++) {
+      var cell = grid.occupied[i];
+      var dc = ((cell.col - c0) % grid.cols + grid.cols) % grid.cols;
+      if (cell.row >= r0 && cell.row <= r1 && dc <= c1 - c0) res.push.apply(res, cell.points);
+    }
+    return res;
+  }
+
+  for (var r = r0; r <= r1; r++) {
+    for (var c = c0; c <= c1; c++) {
+      var cell = grid.cells[r + ',' + ((c % grid.cols) + grid.cols) % grid.cols];
+      if (cell) res.push.apply(res, cell);
+    }
+  }
+  return res;
+}
+
+
+/*
+ * grid row of a latitude (internal use)
+ */
+SpatialIndex._row = function(grid, lat) {
+  return Math.min(grid.rows - 1, Math.max(0, Math.floor((lat + 90) / grid.size)));
+}
+
+
+/*
+ * grid column of a longitude (internal use)
+ */
+SpatialIndex._col = function(grid, lon) {
+  return Math.min(grid.cols - 1, Math.floor((LatLong.wrapLon(lon) + 180) / grid.width));
+}
+
+
+/*
+ * { lat, lon } in degrees of a point given in any of the accepted forms (internal use)
+ */
+SpatialIndex._position = function(pt) {
+  var lat, lon;
+  if (pt instanceof LatLong) {
+    lat = pt.lat * 180 / Math.PI; lon = pt.lon * 180 / Math.PI;
+  } else if (pt && typeof pt.latitude == 'function' && typeof pt.longitude == 'function') {
+    lat = LatLong.llToRad(pt.latitude()) * 180 / Math.PI;
+    lon = LatLong.llToRad(pt.longitude()) * 180 / Math.PI;
+  } else if (pt && pt.lat != null && pt.lon != null) {
+    lat = Number(pt.lat); lon = Number(pt.lon);
+  }
+  if (!(Math.abs(lat) <= 90 && isFinite(lon)))
+    throw new Error("Don't know where " + (pt == null ? '(undef)' : pt) + ' is');
+  return { lat: lat, lon: LatLong.wrapLon(lon) };
+}
+
+
+/*
+ * half the Earth's circumference in metres (internal use)
+ */
+SpatialIndex._halfWorld = function() {
+  return Math.PI * LatLong._model({ units: 'm' }).R;
+}
+
+
+if (typeof module != 'undefined' && module.exports) {
+  module.exports.SpatialIndex = SpatialIndex;
+}
@@ -0,0 +1,187 @@
+/*
+ * TrackStats - methods summary
+ *
+ *   summary = TrackStats.summary(track, opts)
+ *   stops = TrackStats.stops(track, opts)
+ *
+ * track is a ByTime index or anything ByTime accepts as points. Distances are metres,
+ * times seconds, speeds metres/second and bearings degrees.
+ *
+ * summary() gives
+ *
+ *   { points: number of fixes, start, end: times of the first & last,
+ *     distance: along the track (the sum of the legs, as ByTime.havDistance()),
+ *     elapsed: end - start, moving: time spent on legs at minSpeed or faster, not
+ *     counting gaps or stops (so GPS jitter while stopped isn't moving), stopped: the
+ *     rest, avgSpeed: distance / elapsed, movingSpeed: distance / moving, maxSpeed: of
+ *     the fastest leg outside a gap, totalTurn: sum of the (absolute) turns,
+ *     legs: [ { index: of the fix it starts at, start, end, duration, dist, speed,
+ *               brng: initial bearing (null for a leg with no length), turn: change of
+ *               direction from the previous leg (-180...+180, +ve clockwise; null for
+ *               the first leg or when either has no bearing), gap: true if it's a gap } ],
+ *     segments: [ { start, end, duration, dist, speed } ] - the unbroken parts between
+ *               gaps,
+ *     stops: as stops() }
+ *
+ * stops() finds the places the track stayed within stopRadius of for stopTime or longer:
+ *
+ *   [ { lat, lon: the centroid of the fixes, start, end, duration, points: number of
+ *       fixes, index: of the first } ]
+ *
+ * opts (as well as ByTime gap options, which decide the gaps):
+ *   minSpeed   - slowest speed counted as moving (default 0.5)
+ *   stopRadius - R, metres (default 50)
+ *   stopTime   - T, seconds (default 300)
+ */
+
+if (typeof LatLong == 'undefined' && typeof require == 'function') {
+  var LatLong = require('./hav.js').LatLong;
+}
+if (typeof ByTime == 'undefined' && typeof require == 'function') {
+  var ByTime = require('./bytime.js').ByTime;
+}
+
+
+var TrackStats = {};
+
+
+/*
+ * default options
+ */
+TrackStats.defaults = { minSpeed: 0.5, stopRadius: 50, stopTime: 300 };
+
+
+/*
+ * summarise a track
+ */
+TrackStats.summary = function(track, opts) {
+  track = ByTime.track(track);
+  opts = ByTime.merge(TrackStats.defaults, opts);
+  var pts = track.getPoints(), n = pts.length;
+  var res = {
+    points: n, start: n ? pts[0].time : null, end: n ? pts[n-1].time : null,
+    distance: 0, elapsed: n ? pts[n-1].time - pts[0].time : 0, moving: 0, stopped: 0,
+    avgSpeed: null, movingSpeed: null, maxSpeed: null, totalTurn: 0,
+    legs: [], segments: [], stops: TrackStats.stops(track, opts)
+  };
+
+  var inGap = {}, inStop = {}, gaps = track.gaps(opts);
+  for (var i = 0; i < gaps.length; i++) inGap[gaps[i].index] = true;
+  for (var i = 0; i < res.stops.length; i++) {
+    var stop = res.stops[i];
+    for (var j = stop.index; j + 1 < stop.index + stop.points; j++) inStop[j] = true;
+  }
+
+  var seg = null, lastBrng = null;
+  for (var i = 0; i + 1 < n; i++) {
+    var p1 = pts[i], p2 = pts[i+1];
+    var a = new LatLong(p1.lat, p1.lon), b = new LatLong(p2.lat, p2.lon);
+    var dist = ByTime.havDistance(p1, p2), duration = p2.time - p1.time;
+    var leg = {
+      index: i, start: p1.time, end: p2.time, duration: duration, dist: dist,
+      speed: duration > 0 ? dist / duration : null, brng: null, turn: null, gap: !!inGap[i]
+    };
+
+    if (dist > 0) {
+      leg.brng = TrackStats._deg360(LatLong.bearing(a, b));
+      if (lastBrng != null) {
+        leg.turn = LatLong.wrapLon(leg.brng - lastBrng);
+        res.totalTurn += Math.abs(leg.turn);
+      }
+      lastBrng = TrackStats._deg360(LatLong.bearing(b, a) + Math.PI);   // final bearing
+    }
+    res.legs.push(leg);
+
+    res.distance += dist;
+    if (!leg.gap) {
+      if (leg.speed != null && leg.speed >= opts.minSpeed && !inStop[i]) res.moving += duration;
+      if (leg.speed != null && (res.maxSpeed == null || leg.speed > res.maxSpeed)) res.maxSpeed = leg.speed;
+    }
+  }
+
+  // unbroken segments between the gaps
+  for (var i = 0; i < n; i++) {
+    if (!seg) seg = { start: pts[i].time, end: pts[i].time, duration: 0, dist: 0, speed: null };
+    if (i + 1 < n && !inGap[i]) {
+      seg.end = pts[i+1].time;
+      seg.dist += res.legs[i].dist;
+    } else {
+      seg.duration = seg.end - seg.start;
+      if (seg.duration > 0) seg.speed = seg.dist / seg.duration;
+      res.segments.push(seg);
+      seg = null;
+    }
+  }
+
+  res.stopped = res.elapsed - res.moving;
+  if (res.elapsed > 0) res.avgSpeed = res.distance / res.elapsed;
+  if (res.moving > 0) res.movingSpeed = res.distance / res.moving;
+  return res;
+}
+
+
+/*
+ * find the stops in a track: runs of fixes each within stopRadius of the centroid of
+ *   those before it in the run, lasting at least stopTime
+ */
+TrackStats.stops = function(track, opts) {
+  track = ByTime.track(track);
+  opts = ByTime.merge(TrackStats.defaults, opts);
+  var pts = track.getPoints(), stops = [];
+
+  for (var i = 0; i < pts.length; ) {
+    var sum = TrackStats._vector(pts[i]), j = i + 1;
+    for (; j < pts.length; j++) {
+      var v = TrackStats._vector(pts[j]);
+      if (ByTime.havDistance(TrackStats._centroid(sum), pts[j]) > opts.stopRadius) break;
+      sum.x += v.x; sum.y += v.y; sum.z += v.z;
+    }
+
+    var duration = pts[j-1].time - pts[i].time;
+    if (j - 1 > i && duration >= opts.stopTime) {
+      var c = TrackStats._centroid(sum);
+      stops.push({
+        lat: c.lat, lon: c.lon, start: pts[i].time, end: pts[j-1].time, duration: duration,
+        points: j - i, index: i
+      });
+      i = j;
+    } else {
+      i++;
+    }
+  }
+  return stops;
+}
+
+
+/*
+ * unit vector { x, y, z } of a { lat, lon } point in degrees (internal use)
+ */
+TrackStats._vector = function(pt) {
+  var lat = pt.lat * Math.PI / 180, lon = pt.lon * Math.PI / 180;
+  return { x: Math.cos(lat) * Math.cos(lon), y: Math.cos(lat) * Math.sin(lon), z: Math.sin(lat) };
+}
+
+
+/*
+ * { lat, lon } in degrees of the direction of a sum of unit vectors - the centroid of
+ *   the points, safe across the antimeridian (internal use)
+ */
+TrackStats._centroid = function(v) {
+  return {
+    lat: Math.atan2(v.z, Math.sqrt(v.x*v.x + v.y*v.y)) * 180 / Math.PI,
+    lon: Math.atan2(v.y, v.x) * 180 / Math.PI
+  };
+}
+
+
+/*
+ * bearing in radians to degrees 0...360 (internal use)
+ */
+TrackStats._deg360 = function(brng) {
+  return (brng * 180 / Math.PI + 360) % 360;
+}
+
+
+if (typeof module != 'undefined' && module.exports) {
+  module.exports.TrackStats = TrackStats;
+}
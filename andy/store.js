@@ -0,0 +1,463 @@
+/*
+ * TrackStore object - methods summary
+ *
+ *   store = new TrackStore({ keepOriginals: false, chunk: 10000 })
+ *   store.add(points...)
+ *   promise = store.addAsync(asyncIterable)
+ *   promise = store.addStream(stream, 'nmea', opts)
+ *   old = store.configure({ maxGap: 30 })
+ *   opts = store.settings(opts)
+ *
+ *   res = store.lookup(time, maxDist, opts)
+ *   pt = store.nearest(time, maxDist, opts)
+ *   results = store.lookupMany(times, maxDist, opts)
+ *   pts = store.nearestMany(times, maxDist, opts)
+ *
+ *   n = store.length
+ *   pt = store.point(i)
+ *   range = store.timeRange()
+ *   cols = store.columns()
+ *   lookup = store.toByTime()
+ *
+ * A time-ordered point store for long, dense tracks (days of 10 Hz fixes, say): instead
+ * of an object per point it keeps columns of Float64Arrays - time, lat, lon (degrees),
+ * hdop and ele (metres; NaN where a fix has none) - growing them by doubling. Points are
+ * taken in chunks of opts.chunk: each chunk is sorted by time and merged into the
+ * columns in place from the end, so appending in time order costs nothing extra and the
+ * columns are always sorted - there's no copy & sort of the whole track on first lookup.
+ * Equal times keep the order they were added in.
+ *
+ * Lookups give exactly what ByTime's do (the same options, set with configure() or per
+ * call, and the same result objects), except that without opts.keepOriginals the
+ * objects added aren't kept: a result's nearest is then a { lat, lon, time, hdop, ele }
+ * object rebuilt from the columns (the best position gets its ele either way).
+ * lookupMany() and nearestMany() answer a batch of times - eg all of a camera's photos -
+ * in one pass along the track, returning their results in the order the times were
+ * given.
+ *
+ * points are added in any of the forms ByTime.addPoints() takes (without recursing, so
+ * an iterator may be any length). Ingestion from async sources resolves with
+ *
+ *   { added: how many points were stored, errors: malformed records (see TrackReader) }
+ *
+ *   addAsync(source) - an async iterable (eg an async generator) or plain iterable of
+ *                      points, arrays of points or iterator functions
+ *   addStream(stream, format, opts) - a Node readable stream: text in a TrackReader
+ *                      format (opts are its options, and the error callback is called
+ *                      as well as errors being collected) or, with no format, an
+ *                      object mode stream of points as for addAsync()
+ *
+ * Points missing lat, lon or time are dropped, as ByTime.getPoints() drops them.
+ */
+
+if (typeof LatLong == 'undefined' && typeof require == 'function') {
+  var LatLong = require('./hav.js').LatLong;
+}
+if (typeof ByTime == 'undefined' && typeof require == 'function') {
+  var ByTime = require('./bytime.js').ByTime;
+}
+if (typeof TrackReader == 'undefined' && typeof require == 'function') {
+  var TrackReader = require('./readers.js').TrackReader;
+}
+
+
+/*
+ * TrackStore constructor:
+ *
+ *   opts: keepOriginals (keep the objects added, for lookup results' nearest), chunk
+ *   (points sorted & merged at a time, default 10000), capacity (points to make room
+ *   for at first)
+ */
+function TrackStore(opts) {
+  opts = opts || {};
+  this.length = 0;
+  this.capacity = 0;
+  this.options = {};
+  this.keepOriginals = !!opts.keepOriginals;
+  this.chunk = opts.chunk || 10000;
+  this.time = this.lat = this.lon = this.hdop = this.ele = null;
+  this.orig = this.keepOriginals ? [] : null;
+  this.pending = TrackStore._chunk();
+  this._reserve(opts.capacity || 1024);
+}
+
+
+/*
+ * change this store's lookup options, as for ByTime
+ */
+TrackStore.prototype.configure = ByTime.prototype.configure;
+
+
+/*
+ * the options a lookup given opts would use, as for ByTime
+ */
+TrackStore.prototype.settings = ByTime.prototype.settings;
+
+
+/*
+ * add points to the store
+ */
+TrackStore.prototype.add = function() {
+  this._take(Array.prototype.slice.call(arguments));
+  this._flush();
+}
+
+
+/*
+ * add the points from an async (or plain) iterable: returns a promise
+ */
+TrackStore.prototype.addAsync = function(source) {
+  var store = this, before = this.length, it = null;
+  if (source && typeof Symbol != 'undefined') {
+    if (Symbol.asyncIterator && source[Symbol.asyncIterator]) it = source[Symbol.asyncIterator]();
+    else if (source[Symbol.iterator]) it = source[Symbol.iterator]();
+  }
+  if (!it) return Promise.reject(new Error('TrackStore.addAsync needs an iterable'));
+
+  return new Promise(function(resolve, reject) {
+    var step = function() {
+      Promise.resolve(it.next()).then(function(res) {
+        if (res.done) {
+          store._flush();
+          return resolve({ added: store.length - before, errors: [] });
+        }
+        try {
+          store._take(res.value);
+        } catch (e) {
+          return close(e);
+        }
+        step();
+      }).catch(reject);
+    };
+    // stop the source, as for...of would, so it can clean up before we give up on it
+    var close = function(e) {
+      var fail = function() { reject(e); };
+      try {
+        return Promise.resolve(it.return ? it.return() : null).then(fail, fail);
+      } catch (ignore) {
+        fail();
+      }
+    };
+    step();
+  });
+}
+
+
+/*
+ * add the points read from a Node readable stream: returns a promise
+ */
+TrackStore.prototype.addStream = function(stream, format, opts) {
+  var store = this, before = this.length, errors = [], reader = null;
+  opts = opts || {};
+  if (format) {
+    var readerOpts = {};
+    for (var k in opts) readerOpts[k] = opts[k];
+    readerOpts.point = function(pt) { store._push(pt); };
+    readerOpts.error = function(err) {
+      errors.push(err);
+      if (opts.error) opts.error(err);
+    };
+    reader = new TrackReader(format, readerOpts);
+    if (stream.setEncoding) stream.setEncoding('utf8');   // don't split characters
+  }
+
+  return new Promise(function(resolve, reject) {
+    var failed = false;
+    var fail = function(e) {
+      if (failed) return;
+      failed = true;                              // ignore whatever it still emits
+      reject(e);
+      if (stream.destroy) stream.destroy();
+    };
+    stream.on('data', function(data) {
+      if (failed) return;
+      try {
+        if (reader) reader.write(data);
+        else store._take(data);
+      } catch (e) {
+        fail(e);
+      }
+    });
+    stream.on('end', function() {
+      if (failed) return;
+      try {
+        if (reader) reader.end();
+        store._flush();
+        resolve({ added: store.length - before, errors: errors });
+      } catch (e) {
+        fail(e);
+      }
+    });
+    stream.on('error', fail);
+  });
+}
+
+
+/*
+ * point i in time order: { lat, lon, time } plus hdop and ele if it has them and orig
+ *   if keepOriginals is set
+ */
+TrackStore.prototype.point = function(i) {
+  var pt = { lat: this.lat[i], lon: this.lon[i], time: this.time[i] };
+  if (!isNaN(this.hdop[i])) pt.hdop = this.hdop[i];
+  if (!isNaN(this.ele[i])) pt.ele = this.ele[i];
+  if (this.orig) pt.orig = this.orig[i];
+  return pt;
+}
+
+
+/*
+ * return [ earliest, latest ] time covered by the store, or null if it's empty
+ */
+TrackStore.prototype.timeRange = function() {
+  if (!this.length) return null;
+  return [ this.time[0], this.time[this.length-1] ];
+}
+
+
+/*
+ * the columns, trimmed to length: { time, lat, lon, hdop, ele } Float64Arrays sharing the
+ *   store's memory - read them, don't change them
+ */
+TrackStore.prototype.columns = function() {
+  var n = this.length;
+  return {
+    time: this.time.subarray(0, n), lat: this.lat.subarray(0, n),
+    lon: this.lon.subarray(0, n), hdop: this.hdop.subarray(0, n), ele: this.ele.subarray(0, n)
+  };
+}
+
+
+/*
+ * the points as an array of objects, as point() gives them - for small stores, or
+ *   code that needs a ByTime (see toByTime())
+ */
+TrackStore.prototype.getPoints = function() {
+  var pts = [];
+  for (var i = 0; i < this.length; i++) pts.push(this.point(i));
+  return pts;
+}
+
+
+/*
+ * a ByTime index of the points, with the same options
+ */
+TrackStore.prototype.toByTime = function() {
+  var lookup = new ByTime(this.getPoints());
+  lookup.configure(this.options);
+  return lookup;
+}
+
+
+/*
+ * estimated position at the given time, as ByTime.prototype.nearest()
+ */
+TrackStore.prototype.nearest = function(time, maxDist, opts) {
+  var res = this.lookup(time, maxDist, opts);
+  return res ? res.best : null;
+}
+
+
+/*
+ * full lookup result for the given time, as ByTime.prototype.lookup()
+ */
+TrackStore.prototype.lookup = function(time, maxDist, opts) {
+  opts = this.settings(opts);
+  time = ByTime.toTime(time);
+  if (opts.clock) time = opts.clock.toUTC(time);
+  return this._lookup(TrackStore._search(this.time, this.length, time), time, maxDist, opts);
+}
+
+
+/*
+ * nearest() for each of an array of times
+ */
+TrackStore.prototype.nearestMany = function(times, maxDist, opts) {
+  var res = this.lookupMany(times, maxDist, opts);
+  for (var i = 0; i < res.length; i++) res[i] = res[i] ? res[i].best : null;
+  return res;
+}
+
+
+/*
+ * lookup() for each of an array of times: the times are sorted (unless they already
+ *   are) and answered in a single walk along the track
+ */
+TrackStore.prototype.lookupMany = function(times, maxDist, opts) {
+  opts = this.settings(opts);
+  var m = times.length, qt = new Float64Array(m), order = new Array(m), sorted = true;
+  for (var i = 0; i < m; i++) {
+    var t = ByTime.toTime(times[i]);
+    qt[i] = opts.clock ? opts.clock.toUTC(t) : t;
+    order[i] = i;
+    if (i > 0 && qt[i] < qt[i-1]) sorted = false;
+  }
+  if (!sorted) order.sort(function(a, b) { return qt[a] - qt[b] || a - b; });
+
+  var res = new Array(m), n = this.length, pos = 0;
+  for (var k = 0; k < m; k++) {
+    var time = qt[order[k]];
+    while (pos < n && this.time[pos] < time) pos++;
+    res[order[k]] = this._lookup(pos < n ? pos : null, time, maxDist, opts);
+  }
+  return res;
+}
+
+
+/*
+ * the lookup result for a time at position pos (as ByTime._search() gives it): hands
+ *   ByTime._lookup() just the fixes it needs (internal use)
+ */
+TrackStore.prototype._lookup = function(pos, time, maxDist, opts) {
+  // the fixes either side, or the two at the end to extrapolate from
+  var n = this.length, from = Math.max(0, pos == null ? n - 2 : pos - 1), pts = [];
+  for (var i = from; i < n && i < from + 2; i++) pts.push(this.point(i));
+
+  var res = ByTime._lookup(pts, pos == null ? null : pos - from, time, maxDist, opts);
+  if (res && res.gap) res.gap.index += from;
+  return res;
+}
+
+
+/*
+ * walk items - points, arrays and iterator functions, nested any way - buffering the
+ *   points, without recursing (internal use)
+ */
+TrackStore.prototype._take = function(items) {
+  var todo = [ { items: [ items ], i: 0 } ];
+  while (todo.length) {
+    var top = todo[todo.length-1], pt;
+    if (top.next) {
+      pt = top.next();
+      if (!pt) { todo.pop(); continue; }
+    } else {
+      if (top.i >= top.items.length) { todo.pop(); continue; }
+      pt = top.items[top.i++];
+    }
+
+    if (typeof pt == 'function') todo.push({ next: pt });
+    else if (pt instanceof Array) todo.push({ items: pt, i: 0 });
+    else this._push(pt);
+  }
+}
+
+
+/*
+ * buffer one point, merging the buffer into the columns when it's a full chunk
+ *   (internal use)
+ */
+TrackStore.prototype._push = function(pt) {
+  var lat, lon, time, hdop = pt && pt.hdop, ele = pt && pt.ele;
+  if (pt instanceof LatLong) {
+    lat = pt.lat * 180 / Math.PI;
+    lon = pt.lon * 180 / Math.PI;
+    time = typeof pt.time == 'function' ? pt.time() : pt.time;
+  } else if (pt && typeof pt.latitude == 'function' &&
+             typeof pt.longitude == 'function' && typeof pt.time == 'function') {
+    lat = ByTime._deg(pt.latitude());
+    lon = ByTime._deg(pt.longitude());
+    time = pt.time();
+  } else if (pt && typeof pt == 'object') {
+    if (!('lat' in pt && 'lon' in pt && 'time' in pt))
+      throw new Error('Point hashes must have the following keys: lat, lon, time');
+    lat = pt.lat; lon = pt.lon; time = pt.time;
+  } else {
+    throw new Error("Don't know how to add " + (pt == null ? '(undef)' : pt));
+  }
+  if (lat == null || lon == null || time == null) return;
+
+  var c = this.pending;
+  c.time.push(Number(time));
+  c.lat.push(Number(lat));
+  c.lon.push(Number(lon));
+  c.hdop.push(hdop != null && isFinite(hdop) ? Number(hdop) : NaN);
+  c.ele.push(ele != null && isFinite(ele) ? Number(ele) : NaN);
+  if (this.orig) c.orig.push(pt);
+  if (c.time.length >= this.chunk) this._flush();
+}
+
+
+/*
+ * sort the buffered chunk and merge it into the columns, from the end backwards so it
+ *   needs no more room than the result (internal use)
+ */
+TrackStore.prototype._flush = function() {
+  var c = this.pending, m = c.time.length;
+  if (!m) return;
+  this.pending = TrackStore._chunk();
+
+  var order = new Array(m), sorted = true;
+  for (var i = 0; i < m; i++) {
+    order[i] = i;
+    if (i > 0 && c.time[i] < c.time[i-1]) sorted = false;
+  }
+  if (!sorted) order.sort(function(a, b) { return c.time[a] - c.time[b] || a - b; });
+
+  this._reserve(this.length + m);
+  var k = this.length + m - 1, i = this.length - 1;
+  for (var j = m - 1; j >= 0; k--) {
+    if (i >= 0 && this.time[i] > c.time[order[j]]) {
+      this._set(k, this, i--);                    // earlier points first among equal times
+    } else {
+      this._set(k, c, order[j--]);
+    }
+  }
+  this.length += m;
+}
+
+
+/*
+ * copy point i of the store or a chunk to slot k (internal use)
+ */
+TrackStore.prototype._set = function(k, from, i) {
+  this.time[k] = from.time[i];
+  this.lat[k] = from.lat[i];
+  this.lon[k] = from.lon[i];
+  this.hdop[k] = from.hdop[i];
+  this.ele[k] = from.ele[i];
+  if (this.orig) this.orig[k] = from.orig[i];
+}
+
+
+/*
+ * make room for n points, at least doubling the columns when they grow (internal use)
+ */
+TrackStore.prototype._reserve = function(n) {
+  if (n <= this.capacity) return;
+  var cap = Math.max(n, this.capacity * 2);
+  var cols = [ 'time', 'lat', 'lon', 'hdop', 'ele' ];
+  for (var i = 0; i < cols.length; i++) {
+    var col = new Float64Array(cap);
+    if (this[cols[i]]) col.set(this[cols[i]].subarray(0, this.length));
+    this[cols[i]] = col;
+  }
+  this.capacity = cap;
+}
+
+
+/*
+ * an empty chunk buffer (internal use)
+ */
+TrackStore._chunk = function() {
+  return { time: [], lat: [], lon: [], hdop: [], ele: [], orig: [] };
+}
+
+
+/*
+ * index of the first of the n times that's >= time, or null if there's none - as
+ *   ByTime._search() (internal use)
+ */
+TrackStore._search = function(times, n, time) {
+  var lo = 0, hi = n;
+  while (lo < hi) {
+    var mid = (lo + hi) >> 1;
+    if (times[mid] < time) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo < n ? lo : null;
+}
+
+
+if (typeof module != 'undefined' && module.exports) {
+  module.exports.TrackStore = TrackStore;
+}
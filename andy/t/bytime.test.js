@@ -0,0 +1,420 @@
+/*
+ * ByTime tests - the Perl suite's scenarios (t/01, t/02, t/03) against the JavaScript
+ * port, then the lookup options it adds
+ *
+ * run with: node --test andy/t/
+ */
+
+var test = require('node:test'), assert = require('assert');
+var LatLong = require('../hav.js').LatLong, cities = require('../hav.js').cities;
+var ByTime = require('../bytime.js').ByTime;
+
+
+// t/01.add-points.t: points walking north-east, a second back in time each
+function walker() {
+  var time = 1172188800, lat = 54.0, lon = -2.0;
+  return function() {
+    if (lat >= 55.0 - 1e-9) return null;
+    var pt = { lat: lat, lon: lon, time: time };
+    lat += 0.01; lon += 0.02; time--;
+    return pt;
+  };
+}
+
+function Point(pt) { this.pt = pt; }
+Point.prototype.latitude = function() { return this.pt.lat; };
+Point.prototype.longitude = function() { return this.pt.lon; };
+Point.prototype.time = function() { return this.pt.time; };
+
+// t/03.nearest.t: a fix in each capital, 20 minutes apart
+var baseTime = 1172188800, deltaTime = 20 * 60;
+
+function cityPoints() {
+  var pts = [];
+  for (var i = 0; i < cities.length; i++) {
+    var c = cities[i];
+    pts.push({ name: c[1] + ', ' + c[0], lat: c[2], lon: c[3], time: baseTime + i * deltaTime });
+  }
+  return pts;
+}
+
+function bruteForceNearest(pts, time) {
+  var best = null, bestTime = null;
+  for (var i = 0; i < pts.length; i++) {
+    var dt = Math.abs(time - pts[i].time);
+    if (bestTime == null || dt < bestTime) { bestTime = dt; best = pts[i]; }
+  }
+  return best;
+}
+
+
+test('t/01: points added as arrays, objects and iterators come back in time order', function() {
+  var next = walker(), p1 = [], p2 = [], p3 = [];
+  for (var i = 0; i < 10; i++) p1.unshift(next());
+  for (var i = 0; i < 10; i++) p2.push(next());
+  for (var i = 0; i < 10; i++) p3.push(new Point(next()));
+
+  var lookup = new ByTime(p1);
+  assert.deepStrictEqual(lookup.getPoints(), p1, 'array to constructor');
+
+  lookup.addPoints(p3, p2[0], p2.slice(1), next);
+  var all = [], again = walker();
+  for (var pt = again(); pt; pt = again()) all.unshift(pt);
+
+  var pts = lookup.getPoints().map(function(p) { return { lat: p.lat, lon: p.lon, time: p.time }; });
+  assert.deepStrictEqual(pts, all, 'added all points');
+  for (var i = 1; i < pts.length; i++) assert.ok(pts[i-1].time < pts[i].time, 'time ascends');
+});
+
+
+test('t/01: bad points are refused; ones with missing values are dropped', function() {
+  var lookup = new ByTime();
+  assert.throws(function() { lookup.addPoints({ lat: 1, lon: 2 }); }, /lat, lon, time/);
+  assert.throws(function() { lookup.addPoints(42); }, /Don't know how to add 42/);
+  lookup.addPoints({ lat: 1, lon: 2, time: 3 }, { lat: null, lon: 2, time: 4 });
+  assert.strictEqual(lookup.getPoints().length, 1);
+  assert.deepStrictEqual(lookup.timeRange(), [ 3, 3 ]);
+  assert.strictEqual(new ByTime().timeRange(), null);
+});
+
+
+test('t/02: haversine distances between capitals', function() {
+  // from the Perl suite's distance matrix (Earth radius 6378.137 km)
+  var expect = { '0,1': 4375709.493276576, '0,3': 13686962.039197056, '1,2': 1458055.323811548 };
+  for (var k in expect) {
+    var ij = k.split(','), a = cities[ij[0]], b = cities[ij[1]];
+    var dist = ByTime.havDistance({ lat: a[2], lon: a[3] }, { lat: b[2], lon: b[3] });
+    assert.ok(Math.abs(dist - expect[k]) < 1e-6, k + ': ' + dist);
+  }
+  assert.strictEqual(ByTime.havDistance({ lat: 10, lon: 20 }, { lat: 10, lon: 20 }), 0);
+});
+
+
+test('t/03: nearest() finds the fix closest in time, honours maxDist and the ends', function() {
+  var pts = cityPoints(), index = new ByTime(pts);
+  var range = index.timeRange(), first = range[0], last = range[1];
+  assert.strictEqual(first, baseTime, 'first time');
+  assert.strictEqual(last, baseTime + (cities.length - 1) * deltaTime, 'last time');
+
+  var step = Math.floor((last - first) / 100), limit = 1000000;
+  for (var t = first; t < last; t += step) {
+    var time = t + 0.1, res = index.lookup(time);
+    assert.deepStrictEqual(index.nearest(time), res.best, 'both modes return the same point');
+    assert.strictEqual(res.nearest, bruteForceNearest(pts, time), 'best match found');
+    var limited = index.lookup(time, limit);
+    assert.ok(limited == null || limited.dist <= limit, 'limit works');
+  }
+
+  var res = index.lookup(first);
+  assert.ok(res, 'got first');
+  assert.strictEqual(res.dist, 0, 'first distance ok');
+  res = index.lookup(last);
+  assert.ok(res, 'got last');
+  assert.strictEqual(res.dist, 0, 'last distance ok');
+  assert.strictEqual(index.nearest(first - 1), null, 'before first');
+  assert.strictEqual(index.nearest(last + 1), null, 'after last');
+});
+
+
+test('lookup() interpolates along the great circle and reports an exact match', function() {
+  var index = new ByTime({ lat: 0, lon: 0, time: 0 }, { lat: 0, lon: 10, time: 100 });
+  var res = index.lookup(50);
+  assert.ok(Math.abs(res.best.lon - 5) < 1e-9 && Math.abs(res.best.lat) < 1e-9);
+  assert.strictEqual(res.exact, false);
+  assert.ok(res.error > 0);
+  res = index.lookup(100);
+  assert.strictEqual(res.exact, true);
+  assert.deepStrictEqual(res.best, { lat: 0, lon: 10, time: 100 });
+
+  // the short way across the antimeridian, whatever the method
+  var across = new ByTime({ lat: 0, lon: 179, time: 0 }, { lat: 0, lon: -179, time: 10 });
+  [ 'greatCircle', 'rhumb', 'linear' ].forEach(function(interp) {
+    var lon = across.nearest(5, null, { interp: interp }).lon;
+    assert.ok(Math.abs(Math.abs(lon) - 180) < 1e-9, interp + ': ' + lon);
+  });
+  assert.throws(function() { index.lookup(50, null, { interp: 'bogus' }); }, /Unknown interpolation/);
+});
+
+
+test('interpolation follows the great circle, the rhumb line or lat/lon as asked', function() {
+  function near(pt, lat, lon, what) {
+    assert.ok(Math.abs(pt.lat - lat) < 1e-9 && Math.abs(LatLong.wrapLon(pt.lon - lon)) < 1e-9,
+              what + ': ' + pt.lat + ', ' + pt.lon);
+  }
+  // London to New York: the great circle bows north of the rhumb line
+  var atlantic = new ByTime({ lat: 51.5, lon: -0.1, time: 0 }, { lat: 40.7, lon: -74, time: 100 });
+  var mid = atlantic.nearest(50);
+  near(mid, 52.36254604648876, -41.27570693556996, 'greatCircle');
+  assert.ok(Math.abs(ByTime.havDistance(mid, { lat: 51.5, lon: -0.1 }) -
+                     ByTime.havDistance(mid, { lat: 40.7, lon: -74 })) < 1e-6, 'halfway along');
+  near(atlantic.nearest(50, null, { interp: 'rhumb' }), 46.1, -38.86636366270335, 'rhumb');
+  near(atlantic.nearest(50, null, { interp: 'linear' }), 46.1, -37.05, 'linear');
+  atlantic.configure({ interp: 'linear' });
+  near(atlantic.nearest(50), 46.1, -37.05, 'configured');
+
+  // fixes either side of the pole: only the great circle goes over it
+  var polar = new ByTime({ lat: 80, lon: 0, time: 0 }, { lat: 80, lon: 180, time: 100 });
+  near(polar.nearest(25), 85, 0, 'greatCircle');
+  assert.strictEqual(polar.nearest(50).lat, 90);
+  near(polar.nearest(25, null, { interp: 'rhumb' }), 80, 45, 'rhumb');
+
+  // the rhumb line is undefined from a pole, so falls back on the great circle
+  var fromPole = new ByTime({ lat: 90, lon: 0, time: 0 }, { lat: 80, lon: 40, time: 100 });
+  near(fromPole.nearest(50, null, { interp: 'rhumb' }), 85, 40, 'rhumb from the pole');
+
+  // antipodal fixes: every great circle joins them, so take the one due north
+  var antipodes = new ByTime({ lat: 10, lon: 20, time: 0 }, { lat: -10, lon: -160, time: 100 });
+  near(antipodes.nearest(25), 55, 20, 'a quarter of the way');
+  near(antipodes.nearest(50), 80, -160, 'halfway');
+  near(antipodes.nearest(100), -10, -160, 'the far end');
+});
+
+
+test('lookup times may be Dates or ISO 8601 strings', function() {
+  var t = ByTime.parseTime('2007-02-23T00:00:00Z');
+  var index = new ByTime({ lat: 54, lon: -2, time: t }, { lat: 55, lon: -2, time: t + 3600 });
+  assert.strictEqual(index.nearest(new Date(t * 1000)).lat, 54);
+  assert.strictEqual(index.nearest('2007-02-23T01:00:00+00:00').lat, 55);
+  assert.strictEqual(index.nearest('2007-02-23T02:00:00+01:00').lat, 55);
+  assert.throws(function() { index.nearest('yesterday'); }, /Can't understand time/);
+
+  assert.strictEqual(ByTime.parseTime('2020-02-29'), ByTime.parseTime('2020-03-01') - 86400);
+  [ '2020-02-30', '2020-02-31', '2019-02-29', '2007-04-31', '2007-13-01', '2007-02-23T24:00' ].forEach(function(str) {
+    assert.ok(isNaN(ByTime.parseTime(str)), str);
+  });
+});
+
+
+test('gaps are refused or flagged, and split the track into segments', function() {
+  var index = new ByTime(
+    { lat: 54, lon: -2, time: 0 }, { lat: 54.001, lon: -2, time: 10 },
+    { lat: 54.002, lon: -2, time: 1000 }, { lat: 54.003, lon: -2, time: 1010 }
+  );
+  index.configure({ maxGap: 60 });
+  var gaps = index.gaps();
+  assert.strictEqual(gaps.length, 1);
+  assert.strictEqual(gaps[0].index, 1);
+  assert.strictEqual(gaps[0].reason, 'time');
+  assert.strictEqual(index.lookup(500), null);
+  var flagged = index.lookup(500, null, { onGap: 'flag' });
+  assert.strictEqual(flagged.lowConfidence, true);
+  assert.strictEqual(flagged.gap.start, 10);
+  assert.deepStrictEqual(index.segments().map(function(s) { return s.timeRange(); }), [ [ 0, 10 ], [ 1000, 1010 ] ]);
+});
+
+
+test('a jump too fast for maxSpeed is a gap, refused or flagged by every lookup as asked', function() {
+  // 111 m in the first and last ten seconds, 11 km in the middle ten
+  var index = new ByTime(
+    { lat: 0, lon: 0, time: 0 }, { lat: 0, lon: 0.001, time: 10 },
+    { lat: 0, lon: 0.1, time: 20 }, { lat: 0, lon: 0.101, time: 30 }
+  );
+  index.configure({ maxSpeed: 50 });
+  var gaps = index.gaps();
+  assert.strictEqual(gaps.length, 1);
+  assert.deepStrictEqual([ gaps[0].start, gaps[0].end, gaps[0].reason, gaps[0].index ], [ 10, 20, 'speed', 1 ]);
+  assert.ok(Math.abs(gaps[0].speed - 1102.06) < 0.01);
+  assert.ok(index.lookup(5).lowConfidence === false && index.lookup(25).gap === null);
+
+  // 'reject': nothing inside the gap, and closest() only counts the fixes either side
+  assert.strictEqual(index.lookup(15), null);
+  assert.strictEqual(index.nearest(15), null);
+  var res = index.closest({ lat: 0.001, lon: 0.05 });
+  assert.deepStrictEqual([ res.best.time, res.index, res.fraction, res.lowConfidence, res.gap ], [ 10, 0, 1, false, null ]);
+
+  // 'flag': interpolated across it, marked and carrying the gap
+  res = index.lookup(15, null, { onGap: 'flag' });
+  assert.ok(Math.abs(res.best.lon - 0.0505) < 1e-9);
+  assert.strictEqual(res.lowConfidence, true);
+  assert.deepStrictEqual(res.gap, gaps[0]);
+  assert.ok(Math.abs(index.nearest(15, null, { onGap: 'flag' }).lon - 0.0505) < 1e-9);
+  res = index.closest({ lat: 0.001, lon: 0.05 }, null, { onGap: 'flag' });
+  assert.ok(Math.abs(res.best.time - 14.95) < 0.01 && Math.abs(res.dist - 111.32) < 0.01);
+  assert.strictEqual(res.index, 1);
+  assert.strictEqual(res.lowConfidence, true);
+
+  // segments split at the gap whichever way it is treated
+  var ranges = function(segs) { return segs.map(function(s) { return s.timeRange(); }); };
+  assert.deepStrictEqual(ranges(index.segments()), [ [ 0, 10 ], [ 20, 30 ] ]);
+  assert.deepStrictEqual(ranges(index.segments({ onGap: 'flag' })), [ [ 0, 10 ], [ 20, 30 ] ]);
+
+  // maxGap is tested first, so a gap breaking both limits is put down to time
+  assert.deepStrictEqual(index.gaps({ maxGap: 5 }).map(function(g) { return g.reason; }), [ 'time', 'time', 'time' ]);
+  assert.throws(function() { index.configure({ onGap: 'skip' }); }, /Unknown onGap setting: skip/);
+});
+
+
+test('error radii: the fix error at a fix, growing towards midway and beyond the ends', function() {
+  // 111.3 m every ten seconds; the last two fixes have an HDOP
+  var index = new ByTime(
+    { lat: 0, lon: 0, time: 0 }, { lat: 0, lon: 0.001, time: 10 },
+    { lat: 0, lon: 0.002, time: 20, hdop: 1 }, { lat: 0, lon: 0.003, time: 30, hdop: 3 }
+  );
+  var d = ByTime.havDistance({ lat: 0, lon: 0 }, { lat: 0, lon: 0.001 });
+  var close = function(t, want, opts) {
+    var err = index.lookup(t, null, opts).error;
+    assert.ok(Math.abs(err - want) < 1e-9, t + ': ' + err + ' != ' + want);
+  };
+
+  // exact: fixError (10 m) without an HDOP, HDOP * uere (5 m) with one
+  close(10, 10);
+  close(20, 5);
+  close(30, 15);
+  close(20, 2, { uere: 2 });
+
+  // midway each fix counts half, and the track may have strayed 2 f (1-f) dt (0.5 speed + 0.5)
+  var stray = 2 * 0.25 * 10 * (0.5 * d / 10 + 0.5);
+  close(5, Math.sqrt(5*5 + 5*5 + stray*stray));
+  close(15, Math.sqrt(5*5 + 2.5*2.5 + stray*stray));
+  close(25, Math.sqrt(2.5*2.5 + 7.5*7.5 + stray*stray));
+  close(25, Math.sqrt(2.5*2.5 + 7.5*7.5), { stray: 0, wander: 0 });
+  assert.ok(Math.abs(stray - 30.33) < 0.01);
+
+  // extrapolated ten seconds: the end fix's error and dt (0.5 speed + 0.5)
+  var drift = 10 * (0.5 * d / 10 + 0.5);
+  close(40, Math.sqrt(15*15 + drift*drift), { extrapolate: 60 });
+  close(-10, Math.sqrt(10*10 + drift*drift), { extrapolate: 60 });
+});
+
+
+test('extrapolation projects beyond the ends only within its limit', function() {
+  var index = new ByTime({ lat: 0, lon: 0, time: 0 }, { lat: 0, lon: 0.001, time: 10 });
+  assert.strictEqual(index.lookup(20), null);
+  var res = index.lookup(20, null, { extrapolate: 30 });
+  assert.strictEqual(res.extrapolated, true);
+  assert.ok(res.best.lon > 0.001 && Math.abs(res.best.lon - 0.002) < 1e-6);
+  res = index.lookup(-10, null, { extrapolate: 30 });
+  assert.ok(res.best.lon < 0 && Math.abs(res.best.lon + 0.001) < 1e-6);
+  assert.strictEqual(index.lookup(100, null, { extrapolate: 30 }), null);
+});
+
+
+test('extrapolation carries on across the antimeridian, with the longitude wrapped', function() {
+  // 98.7 m every ten seconds due east, the last fix 0.001 degrees short of 180
+  var index = new ByTime({ lat: 10, lon: 179.99, time: 0 }, { lat: 10, lon: 179.999, time: 10 });
+  var res = index.lookup(20, null, { extrapolate: 60 });
+  assert.ok(Math.abs(res.best.lat - 10) < 1e-6 && Math.abs(res.best.lon + 179.992) < 1e-6);
+  assert.ok(Math.abs(res.dist - 986.65) < 0.01);
+  res = index.lookup(-10, null, { extrapolate: 60 });
+  assert.ok(Math.abs(res.best.lon - 179.981) < 1e-6);
+
+  // and westwards back the other way
+  index = new ByTime({ lat: -10, lon: -179.99, time: 0 }, { lat: -10, lon: -179.999, time: 10 });
+  res = index.lookup(20, null, { extrapolate: 60 });
+  assert.ok(Math.abs(res.best.lat + 10) < 1e-6 && Math.abs(res.best.lon - 179.992) < 1e-6);
+});
+
+
+test('a NaN time or an invalid Date is refused like an unparseable string', function() {
+  var index = new ByTime({ lat: 0, lon: 0, time: 0 }, { lat: 0, lon: 0.001, time: 10 });
+  var opts = { extrapolate: 60 };
+  assert.throws(function() { index.lookup(NaN, null, opts); }, /Can't understand time NaN/);
+  assert.throws(function() { index.nearest(new Date(NaN), null, opts); }, /Can't understand time Invalid Date/);
+  assert.throws(function() { index.lookup('soon', null, opts); }, /Can't understand time soon/);
+  assert.throws(function() { ByTime.toTime(undefined); }, /Can't understand time undefined/);
+  assert.strictEqual(index.lookup(Infinity, null, opts), null);
+});
+
+
+test('closest() finds when the track passed nearest a place', function() {
+  var index = new ByTime({ lat: 0, lon: 0, time: 0 }, { lat: 0, lon: 1, time: 100 });
+  var res = index.closest({ lat: 0.01, lon: 0.25 });
+  assert.ok(Math.abs(res.best.time - 25) < 0.01);
+  assert.ok(Math.abs(res.dist - 1112) < 5);
+  assert.strictEqual(index.closest({ lat: 1, lon: 0.5 }, 1000), null);
+});
+
+
+test('simplify() and resample() keep to the track', function() {
+  var pts = [];
+  for (var i = 0; i <= 100; i++) pts.push({ lat: 54 + i * 1e-4, lon: -2 + Math.sin(i / 10) * 1e-5, time: i });
+  var index = new ByTime(pts), simple = index.simplify(5);
+  assert.ok(simple.getPoints().length < 10);
+  for (var t = 0; t <= 100; t += 0.5) assert.ok(ByTime.havDistance(simple.nearest(t), index.nearest(t)) <= 5);
+
+  var even = index.resample(10);
+  assert.deepStrictEqual(even.getPoints().map(function(p) { return p.time; }), [ 0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100 ]);
+});
+
+
+test('simplify() keeps within each tolerance, and resample() steps evenly over uneven fixes', function() {
+  // a weaving track, its fixes 1, 2.5 or 9 seconds apart
+  var pts = [], t = 0;
+  for (var i = 0; i <= 200; i++) {
+    pts.push({ lat: 54 + i * 1e-4, lon: -2 + Math.sin(i / 15) * 5e-4, time: t });
+    t += i % 7 == 0 ? 9 : i % 3 ? 1 : 2.5;
+  }
+  var index = new ByTime(pts), last = pts[200].time;
+
+  [ 'douglasPeucker', 'visvalingam' ].forEach(function(method) {
+    var counts = [];
+    [ 0, 1, 5, 20, 50, 200 ].forEach(function(tol) {
+      var simple = index.simplify(tol, { method: method }), kept = simple.getPoints();
+      counts.push(kept.length);
+      assert.deepStrictEqual(simple.timeRange(), [ 0, last ]);
+      for (var i = 0; i < pts.length; i++) {
+        var d = ByTime.havDistance(simple.nearest(pts[i].time), pts[i]);
+        assert.ok(d <= tol + 1e-9, method + ' at ' + tol + ' m: ' + d + ' m off at ' + pts[i].time);
+      }
+      // the path alone is easier to keep to than the position at each time
+      assert.ok(index.simplify(tol, { method: method, measure: 'path' }).getPoints().length <= kept.length);
+    });
+    for (var i = 1; i < counts.length; i++) assert.ok(counts[i] <= counts[i-1], method + ' ' + counts);
+    assert.strictEqual(counts[0], 201);
+    assert.strictEqual(counts[counts.length-1], 2);
+  });
+
+  // by time: every 7 seconds from the first fix, each where lookup() puts it, then the last
+  var even = index.resample(7).getPoints();
+  assert.strictEqual(even.length, 75);
+  for (var i = 0; i < even.length - 1; i++) {
+    assert.strictEqual(even[i].time, i * 7);
+    assert.ok(ByTime.havDistance(even[i], index.nearest(even[i].time)) < 1e-6);
+  }
+  assert.deepStrictEqual(even[even.length-1], { lat: pts[200].lat, lon: pts[200].lon, time: last });
+
+  // by distance: every 50 m along the fixes' great circles, straight lines between them
+  // cutting the corners by a centimetre or two
+  var spaced = index.resample(50, { by: 'distance' }).getPoints();
+  assert.strictEqual(spaced.length, 46);
+  for (var i = 1; i < spaced.length; i++) {
+    var d = ByTime.havDistance(spaced[i-1], spaced[i]);
+    assert.ok(i < spaced.length - 1 ? Math.abs(d - 50) < 0.02 : d <= 50, i + ': ' + d);
+    assert.ok(spaced[i].time > spaced[i-1].time);
+  }
+});
+
+
+test('settings() gives the options a call would use, and fixError() the error of a fix', function() {
+  var index = new ByTime({ lat: 0, lon: 0, time: 0, hdop: 2 }, { lat: 0, lon: 0.001, time: 10 });
+  index.configure({ uere: 4 });
+  var opts = index.settings({ fixError: 12 });
+  assert.deepStrictEqual([ opts.uere, opts.fixError, opts.interp ], [ 4, 12, 'greatCircle' ]);
+  assert.strictEqual(index.options.fixError, undefined);
+  assert.throws(function() { index.settings({ interp: 'spline' }); }, /Unknown interpolation: spline/);
+
+  var pts = index.getPoints();
+  assert.strictEqual(ByTime.fixError(pts[0], opts), 8);
+  assert.strictEqual(ByTime.fixError(pts[1], opts), 12);
+  assert.strictEqual(ByTime.fixError({ hdop: NaN }, opts), 12);
+  assert.strictEqual(ByTime.fixError(pts[0], opts), index.lookup(0, null, { fixError: 12 }).error);
+});
+
+
+test('interp(), place() and gap() give what lookups and gaps() use', function() {
+  assert.strictEqual(ByTime.interp(10, 15, 30, 100, 200), 125);
+  assert.throws(function() { ByTime.interp(0, 11, 10, 0, 1); }, /0 <= 11 <= 10 !/);
+
+  var want = new LatLong(54.5, -2.25);
+  [ want, { lat: 54.5, lon: -2.25 }, new Point({ lat: '54:30:00N', lon: '002:15:00W' }) ].forEach(function(place) {
+    var p = ByTime.place(place);
+    assert.ok(Math.abs(p.lat - want.lat) < 1e-12 && Math.abs(p.lon - want.lon) < 1e-12);
+  });
+  assert.throws(function() { ByTime.place({ lat: 1 }); }, /Don't know where/);
+
+  var index = new ByTime({ lat: 0, lon: 0, time: 0 }, { lat: 0, lon: 0.001, time: 10 }, { lat: 0, lon: 0.002, time: 100 });
+  var opts = index.settings({ maxGap: 60 }), pts = index.getPoints();
+  assert.strictEqual(ByTime.gap(pts, 0, opts), null);
+  assert.deepStrictEqual(ByTime.gap(pts, 1, opts), index.gaps(opts)[0]);
+  assert.strictEqual(ByTime.gap(pts, 0, opts, 2).duration, 100);
+});
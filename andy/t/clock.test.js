@@ -0,0 +1,80 @@
+/*
+ * Clock tests - converting camera times and fitting a clock to reference photos
+ *
+ * run with: node --test andy/t/
+ */
+
+var test = require('node:test'), assert = require('assert');
+var ByTime = require('../bytime.js').ByTime, Clock = require('../clock.js').Clock;
+
+
+var t0 = 1172224800;
+
+// a wiggly hour-long track, a fix every 10 seconds
+function track() {
+  var pts = [];
+  for (var i = 0; i <= 3600; i += 10)
+    pts.push({ lat: 54 + i/36000 + 0.01 * Math.sin(i/300), lon: -2 + i/20000, time: t0 + i });
+  return new ByTime(pts);
+}
+
+// the camera time that clock turns into utc
+function cameraTime(clock, utc) {
+  var lo = utc - 10000, hi = utc + 10000;
+  for (var i = 0; i < 100; i++) {
+    var mid = (lo + hi) / 2;
+    if (clock.toUTC(mid) < utc) lo = mid; else hi = mid;
+  }
+  return lo;
+}
+
+// photos at known places, 10, 30 and 50 minutes in, timed by the camera's clock
+function refs(index, clock) {
+  return [ 600, 1800, 3000 ].map(function(s) {
+    var pt = index.nearest(t0 + s);
+    return { time: cameraTime(clock, t0 + s), lat: pt.lat, lon: pt.lon };
+  });
+}
+
+
+test('toUTC() takes off the zone, then adds the offset and drift', function() {
+  assert.strictEqual(new Clock({ zone: '+01:00' }).toUTC(t0 + 3600), t0);
+  assert.strictEqual(new Clock({ zone: '-0530' }).toUTC(t0), t0 + 5.5 * 3600);
+  assert.strictEqual(new Clock({ zone: 2, offset: -95 }).toUTC('2007-02-23T12:00:00Z'), t0 - 95);
+  assert.strictEqual(new Clock({ offset: 10, drift: 1e-3, epoch: t0 }).toUTC(t0 + 1000), t0 + 1011);
+  assert.strictEqual(new Clock({ zone: 'Europe/London' }).toUTC('2007-07-01T13:00:00'),
+                     ByTime.parseTime('2007-07-01T12:00:00Z'));
+  assert.throws(function() { new Clock({ zone: 'Mars/Base' }); });
+});
+
+
+test('lookups take a clock option', function() {
+  var index = track(), clock = new Clock({ zone: '+01:00' });
+  assert.deepStrictEqual(index.nearest(t0 + 4200, null, { clock: clock }), index.nearest(t0 + 600));
+});
+
+
+test('fit() recovers the offset and drift from reference photos', function() {
+  var index = track(), truth = new Clock({ zone: '+01:00', offset: -95, drift: 2e-4, epoch: t0 });
+  var clock = Clock.fit(index, refs(index, truth), { zone: '+01:00' });
+  for (var s = 0; s <= 3600; s += 300) {
+    var camera = cameraTime(truth, t0 + s);
+    assert.ok(Math.abs(clock.toUTC(camera) - (t0 + s)) < 0.5, s + ': ' + (clock.toUTC(camera) - t0 - s));
+  }
+  clock.refs.forEach(function(ref) { assert.ok(ref.dist < 5, 'ref within ' + ref.dist + ' m'); });
+
+  var one = Clock.fit(index, refs(index, truth).slice(0, 1), { zone: 1 });
+  assert.strictEqual(one.drift, 0);
+  assert.throws(function() { Clock.fit(index, []); }, /at least one reference/);
+});
+
+
+test("fit() isn't thrown by a clock already configured on the lookup", function() {
+  var index = track(), truth = new Clock({ zone: '+01:00', offset: -95 });
+  var plain = Clock.fit(index, refs(index, truth), { zone: '+01:00' });
+  index.configure({ clock: new Clock({ offset: 600 }) });
+  var configured = Clock.fit(index, refs(track(), truth), { zone: '+01:00' });
+  assert.ok(Math.abs(configured.offset - plain.offset) < 0.5, configured.offset + ' vs ' + plain.offset);
+  assert.ok(Math.abs(configured.offset + 95) < 0.5);
+  configured.refs.forEach(function(ref) { assert.ok(ref.dist < 5, 'ref within ' + ref.dist + ' m'); });
+});
@@ -0,0 +1,115 @@
+/*
+ * Coords tests - published reference positions, then round trips through every format
+ *
+ * run with: node --test andy/t/
+ */
+
+var test = require('node:test'), assert = require('assert');
+var LatLong = require('../hav.js').LatLong;
+var Coords = require('../coords.js').Coords;
+
+
+// parse() gives radians; compare in degrees
+function deg(p) { return { lat: p.lat * 180 / Math.PI, lon: p.lon * 180 / Math.PI }; }
+
+function near(p, lat, lon, tol, what) {
+  var d = deg(p);
+  assert.ok(Math.abs(d.lat - lat) < tol && Math.abs(d.lon - lon) < tol, what + ': ' + d.lat + ', ' + d.lon);
+}
+
+function metres(a, b) { return LatLong.distHaversine(a, new LatLong(b.lat, b.lon), { units: 'm' }); }
+
+// a little LCG so the round trips cover the same positions every run
+function seeded(seed) {
+  return function() { seed = (seed * 1103515245 + 12345) % 2147483648; return seed / 2147483648; };
+}
+
+
+test('UTM and MGRS match published reference positions', function() {
+  var eiffel = { lat: 48.8582, lon: 2.2945 }, opera = { lat: -33.857, lon: 151.215 };
+  assert.strictEqual(Coords.format(eiffel, 'utm'), '31 N 448252 5411933');
+  assert.strictEqual(Coords.format(eiffel, 'mgrs'), '31U DQ 48251 11932');
+  assert.strictEqual(Coords.format(opera, 'utm'), '56 S 334873 6252266');
+  assert.strictEqual(Coords.format(opera, 'mgrs'), '56H LH 34873 52266');
+  near(Coords.parse('31 N 448251.795 5411932.678', 'utm'), 48.8582, 2.2945, 1e-6, 'utm');
+  assert.deepStrictEqual(Coords.parse('31UDQ4825111932', 'mgrs'), Coords.parse('31U DQ 48251 11932', 'mgrs'));
+
+  // the Norway and Svalbard zone exceptions
+  assert.ok(/^32 N /.test(Coords.format({ lat: 60, lon: 4 }, 'utm')));
+  assert.ok(/^33 N /.test(Coords.format({ lat: 78, lon: 10 }, 'utm')));
+  assert.throws(function() { Coords.format({ lat: 85, lon: 0 }, 'utm'); }, /outside UTM limits/);
+});
+
+
+test('OS grid references match the Ordnance Survey worked example', function() {
+  var osgb36 = { lat: 52 + 39 / 60 + 27.2531 / 3600, lon: 1 + 43 / 60 + 4.5177 / 3600 };
+  var en = Coords._toOsgb(osgb36);
+  assert.ok(Math.abs(en.easting - 651409.903) < 1e-3 && Math.abs(en.northing - 313177.270) < 1e-3);
+  var back = Coords._fromOsgb(en.easting, en.northing);
+  assert.ok(Math.abs(back.lat - osgb36.lat) < 1e-8 && Math.abs(back.lon - osgb36.lon) < 1e-8);
+
+  var wgs = Coords.convertDatum(osgb36, 'OSGB36', 'WGS84');
+  assert.strictEqual(Coords.format(wgs, 'osgb'), 'TG 51409 13177');
+  assert.strictEqual(Coords.format(wgs, 'osgb', { precision: 3 }), 'TG 514 131');
+  assert.strictEqual(Coords.format(wgs, 'osgb', { numeric: true }), '651410,313177');
+  assert.deepStrictEqual(Coords.parse('TG5140913177', 'osgb'), Coords.parse('TG 51409 13177', 'osgb'));
+  assert.throws(function() { Coords.format({ lat: 40, lon: 0 }, 'osgb'); }, /outside the OS grid/);
+});
+
+
+test('grid references survive a round trip through parse() and format()', function() {
+  // parse() gives the south-west corner of the 1 m square and format() truncates, so the
+  // millimetres lost through OSGB36 mustn't drop the point into the squares below and left
+  assert.strictEqual(Coords.format(deg(Coords.parse('TG 51409 13177', 'osgb')), 'osgb'), 'TG 51409 13177');
+
+  var rand = seeded(42);
+  for (var i = 0; i < 500; i++) {
+    var ref = 'TQ ' + String(10000 + Math.floor(rand() * 89999)) + ' ' + String(10000 + Math.floor(rand() * 89999));
+    assert.strictEqual(Coords.format(deg(Coords.parse(ref, 'osgb')), 'osgb'), ref);
+
+    var pos = { lat: rand() * 160 - 80, lon: rand() * 360 - 180 };
+    var mgrs = Coords.format(pos, 'mgrs');
+    assert.strictEqual(Coords.format(deg(Coords.parse(mgrs, 'mgrs')), 'mgrs'), mgrs);
+    assert.ok(metres(Coords.parse(mgrs, 'mgrs'), pos) < 2, mgrs);
+
+    var utm = Coords.format(pos, 'utm', { precision: 3 });
+    assert.strictEqual(Coords.format(deg(Coords.parse(utm, 'utm')), 'utm', { precision: 3 }), utm);
+    assert.ok(metres(Coords.parse(utm, 'utm'), pos) < 0.002, utm);
+  }
+});
+
+
+test('every format parses what it formats', function() {
+  var pos = new LatLong(51.4775, -0.461389);
+  var tol = { dd: 1e-6, dms: 1e-4, ddm: 1e-5, nmea: 1e-6, utm: 1e-5, mgrs: 1e-4, osgb: 1e-4, geohash: 1e-4 };
+  for (var f in tol) {
+    var text = Coords.format(pos, f);
+    near(Coords.parse(text, f), 51.4775, -0.461389, tol[f], f + ' ' + text);
+  }
+  assert.strictEqual(Coords.format(pos, 'nmea'), '5128.6500,N,00027.6833,W');
+  assert.strictEqual(Coords.format(pos, 'dms'), '51°28′39″N, 000°27′41″W');
+  assert.throws(function() { Coords.format(pos, 'foo'); }, /Unknown coordinate format: foo/);
+});
+
+
+test('parse() accepts the loose spellings people type', function() {
+  near(Coords.parse(' 5128.65 , N , 00027.68 , W ', 'nmea'), 51.4775, -0.461333, 1e-6, 'nmea');
+  near(Coords.parse('000°27.683′W, 51°28.650′N', 'ddm'), 51.4775, -0.461383, 1e-6, 'ddm');
+  near(Coords.parse('51.4775 -0.461389', 'dd'), 51.4775, -0.461389, 1e-6, 'dd');
+  near(Coords.parse(' u4pruydqqvj ', 'geohash'), 57.649111, 10.40744, 1e-6, 'geohash');
+  assert.strictEqual(Coords.format({ lat: 57.64911, lon: 10.40744 }, 'geohash', { precision: 11 }), 'u4pruydqqvj');
+
+  [ '99 N 1 1', '31X ZZ 1 1', 'TZ 1 12', '5128.65,X,00027.68,W' ].forEach(function(text) {
+    [ 'utm', 'mgrs', 'osgb', 'nmea' ].forEach(function(f) {
+      assert.throws(function() { Coords.parse(text, f); }, text + ' as ' + f);
+    });
+  });
+});
+
+
+test('datum conversion to OSGB36 and back returns to the start', function() {
+  var wgs = { lat: 52.657979, lon: 1.716052 };
+  var osgb36 = Coords.convertDatum(wgs, 'WGS84', 'OSGB36');
+  assert.ok(metres(osgb36, wgs) > 50, 'the datums differ');
+  assert.ok(metres(Coords.convertDatum(deg(osgb36), 'OSGB36', 'WGS84'), wgs) < 0.01);
+});
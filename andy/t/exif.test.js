@@ -0,0 +1,89 @@
+/*
+ * Exif and Geotagger tests - on a minimal JPEG holding just a DateTimeOriginal
+ *
+ * run with: node --test andy/t/
+ */
+
+var test = require('node:test'), assert = require('assert');
+var Exif = require('../exif.js').Exif, Geotagger = require('../exif.js').Geotagger;
+var ByTime = require('../bytime.js').ByTime;
+
+
+// SOI, APP1 with IFD0 -> Exif IFD -> DateTimeOriginal, then an empty scan
+function jpeg(dateTime) {
+  var str = function(s) {
+    var a = [];
+    for (var i = 0; i < s.length; i++) a.push(s.charCodeAt(i));
+    return a.concat([ 0 ]);
+  };
+  var out = new Exif._Buffer(true);
+  out.bytes([ 0x49, 0x49, 42, 0 ]);
+  out.u32(8);
+  Exif._writeIFD(out, [ { tag: 0x8769, type: 4, count: 1, value: [ 26 ] } ], 0);
+  Exif._writeIFD(out, [ { tag: 0x9003, type: 2, count: 20, value: str(dateTime) } ], 0);
+  var tiff = Array.prototype.slice.call(out.array());
+  var app1 = [ 0xFF, 0xE1, (tiff.length + 8) >> 8, (tiff.length + 8) & 255 ].concat(str('Exif'), [ 0 ], tiff);
+  return new Uint8Array([ 0xFF, 0xD8 ].concat(app1, [ 0xFF, 0xDA, 0, 2, 0xFF, 0xD9 ]));
+}
+
+var t0 = ByTime.parseTime('2007-02-23T10:00:00Z');
+
+
+test('writeGPS() tags can be read back', function() {
+  var bytes = jpeg('2007:02:23 10:15:00');
+  assert.strictEqual(Exif.read(bytes).time, t0 + 900);
+  assert.strictEqual(Exif.read(bytes).gps, null);
+
+  var gps = Exif.read(Exif.writeGPS(bytes, { lat: -54.5, lon: 2.25, time: t0 + 900, ele: -12.3, error: 8 })).gps;
+  assert.ok(Math.abs(gps.lat + 54.5) < 1e-6 && Math.abs(gps.lon - 2.25) < 1e-6);
+  assert.strictEqual(gps.ele, -12.3);
+  assert.strictEqual(gps.time, t0 + 900);
+  assert.strictEqual(gps.error, 8);
+});
+
+
+test('the tagger writes altitude interpolated between the fixes either side', function() {
+  var track = new ByTime(
+    { lat: 54, lon: -2, time: t0, ele: 100 }, { lat: 54.01, lon: -2, time: t0 + 600, ele: 160 },
+    { lat: 54.02, lon: -2, time: t0 + 1200 }
+  );
+  var tagger = new Geotagger(track);
+  var between = tagger.tag('between.jpg', jpeg('2007:02:23 10:02:30'));
+  var exact = tagger.tag('exact.jpg', jpeg('2007:02:23 10:10:00'));
+  var without = tagger.tag('without.jpg', jpeg('2007:02:23 10:15:00'));
+
+  assert.strictEqual(between.status, 'tagged');
+  assert.strictEqual(between.result.best.ele, 115);
+  assert.strictEqual(Exif.read(between.data).gps.ele, 115);
+  assert.strictEqual(Exif.read(exact.data).gps.ele, 160);
+  assert.strictEqual(without.result.best.ele, undefined, 'no altitude unless both fixes have one');
+  assert.strictEqual(Exif.read(without.data).gps.ele, null);
+
+  var beyond = new Geotagger(track, { extrapolate: 600 }).tag('beyond.jpg', jpeg('2007:02:23 09:55:00'));
+  assert.strictEqual(beyond.result.extrapolated, true);
+  assert.strictEqual(Exif.read(beyond.data).gps.ele, 100);
+});
+
+
+test('the tagger writes the lookup\'s error radius as GPSHPositioningError', function() {
+  var track = new ByTime({ lat: 54, lon: -2, time: t0, hdop: 2 }, { lat: 54.01, lon: -2, time: t0 + 600 });
+  var tagger = new Geotagger(track);
+  var exact = tagger.tag('exact.jpg', jpeg('2007:02:23 10:00:00'));
+  var between = tagger.tag('between.jpg', jpeg('2007:02:23 10:05:00'));
+
+  assert.strictEqual(exact.result.error, 10);
+  assert.strictEqual(Exif.read(exact.data).gps.error, 10);
+  // written to the centimetre
+  assert.ok(between.result.error > 100);
+  assert.strictEqual(Exif.read(between.data).gps.error, Math.round(between.result.error * 100) / 100);
+});
+
+
+test('photos without a time or outside the track are reported, not tagged', function() {
+  var tagger = new Geotagger(new ByTime({ lat: 54, lon: -2, time: t0 }, { lat: 54.01, lon: -2, time: t0 + 600 }),
+                             { maxDist: 100 });
+  assert.strictEqual(tagger.tag('late.jpg', jpeg('2007:02:23 11:00:00')).status, 'no fix');
+  assert.strictEqual(tagger.tag('far.jpg', jpeg('2007:02:23 10:05:00')).status, 'too far');
+  assert.strictEqual(tagger.tag('bad.jpg', new Uint8Array([ 1, 2, 3, 4 ])).status, 'error');
+  assert.strictEqual(tagger.results.length, 3);
+});
@@ -0,0 +1,109 @@
+/*
+ * Fence tests - containment (including at the antipodes), areas and enter/exit events
+ *
+ * run with: node --test andy/t/
+ */
+
+var test = require('node:test'), assert = require('assert');
+var LatLong = require('../hav.js').LatLong, ByTime = require('../bytime.js').ByTime;
+var Fence = require('../fence.js').Fence;
+
+
+var R = LatLong._model({ units: 'm' }).R;
+
+function box(name, south, west, north, east) {
+  return Fence.polygon(name, [ { lat: south, lon: west }, { lat: south, lon: east },
+                               { lat: north, lon: east }, { lat: north, lon: west } ]);
+}
+
+function summary(events) {
+  return events.map(function(e) { return e.type + ' ' + e.fence.name + ' ' + e.time.toFixed(3); });
+}
+
+var uk = box('uk', 50, -1, 51, 0);
+var across = box('across', -0.5, 179.5, 0.5, -179.5);
+var cap = Fence.polygon('cap', [ { lat: 80, lon: 0 }, { lat: 80, lon: 90 }, { lat: 80, lon: 180 }, { lat: 80, lon: -90 } ]);
+
+
+test('polygons contain what they surround, whichever way round the vertices go', function() {
+  [ uk, Fence.polygon('ku', uk.vertices.slice().reverse()) ].forEach(function(f) {
+    assert.strictEqual(f.contains({ lat: 50.5, lon: -0.5 }), true);
+    assert.strictEqual(f.contains({ lat: 50.5, lon: 0.5 }), false);
+    assert.strictEqual(f.contains({ lat: 50, lon: -1 }), true, 'on a vertex');
+  });
+  assert.strictEqual(across.contains({ lat: 0, lon: 180 }), true);
+  assert.strictEqual(across.contains({ lat: 0, lon: -179.6 }), true);
+  assert.strictEqual(across.contains({ lat: 0, lon: 179 }), false);
+  assert.strictEqual(cap.contains({ lat: 90, lon: 0 }), true);
+  assert.strictEqual(cap.contains({ lat: 85, lon: 45 }), true);
+  assert.strictEqual(cap.contains({ lat: 70, lon: 0 }), false);
+});
+
+
+test("nothing on the far side of the world is inside a polygon", function() {
+  assert.strictEqual(uk.contains({ lat: -50.5, lon: 179.5 }), false);
+  assert.strictEqual(across.contains({ lat: 0, lon: 0 }), false);
+  assert.strictEqual(cap.contains({ lat: -90, lon: 0 }), false);
+  assert.strictEqual(cap.contains({ lat: -85, lon: -135 }), false);
+  assert.strictEqual(Fence.polygon('pac', cap.vertices.slice().reverse()).contains({ lat: -90, lon: 0 }), false);
+});
+
+
+test('circles contain what is within their radius', function() {
+  var c = Fence.circle('c', { lat: 0, lon: 0 }, 10000);
+  assert.strictEqual(c.contains({ lat: 0.08, lon: 0 }), true);
+  assert.strictEqual(c.contains({ lat: 0.1, lon: 0 }), false);
+  assert.throws(function() { Fence.circle('c', { lat: 0, lon: 0 }, 0); }, /Bad fence radius/);
+  assert.throws(function() { Fence.polygon('p', [ { lat: 0, lon: 0 }, { lat: 1, lon: 1 }, { lat: 0, lon: 0 } ]); },
+                /at least 3 vertices/);
+});
+
+
+test('areas and perimeters, round a pole too', function() {
+  var degree = Math.PI / 180 * R;
+  assert.ok(Math.abs(across.area() / (degree * degree) - 1) < 1e-4, across.area());
+  assert.ok(Math.abs(across.perimeter() / (4 * degree) - 1) < 1e-4, across.perimeter());
+
+  // Gauss-Bonnet: the area is how far short of a full turn the boundary turns
+  [ uk, across, cap, Fence.polygon('pac', cap.vertices.slice().reverse()),
+    Fence.polygon('south', [ { lat: -60, lon: 0 }, { lat: -60, lon: 120 }, { lat: -60, lon: -120 } ]) ].forEach(function(f) {
+    var expect = (2 * Math.PI - Math.abs(f.turn)) * R * R;
+    assert.ok(Math.abs(f.area() / expect - 1) < 1e-9, f.name + ': ' + f.area() + ' vs ' + expect);
+  });
+
+  var c = Fence.circle('c', { lat: 0, lon: 0 }, 10000);
+  assert.ok(Math.abs(c.area() / (Math.PI * 1e8) - 1) < 1e-6);
+  assert.ok(Math.abs(c.perimeter() / (2 * Math.PI * 1e4) - 1) < 1e-6);
+});
+
+
+test('events() gives each crossing in time order, across the antimeridian', function() {
+  var c = Fence.circle('c', { lat: 0, lon: 0 }, 10000);
+  var track = new ByTime(
+    { lat: 0, lon: 179, time: 0 }, { lat: 0, lon: -179, time: 200 },
+    { lat: 0.4, lon: -179.4, time: 300 }, { lat: 0.6, lon: -179.6, time: 310 }, { lat: 0.3, lon: -179.8, time: 320 }
+  );
+  var events = Fence.events(track, [ across, c ]);
+  assert.deepStrictEqual(summary(events), [ 'enter across 50.000', 'exit across 150.000', 'enter across 313.333' ]);
+  assert.ok(Math.abs(events[1].lon + 179.5) < 1e-9);
+  assert.strictEqual(events[2].index, 3);
+
+  events = Fence.events([ { lat: -1, lon: 0, time: 0 }, { lat: 1, lon: 0, time: 1000 } ], c, { maxGap: 10 });
+  assert.deepStrictEqual(summary(events), [ 'enter c 455.084', 'exit c 544.916' ]);
+  assert.strictEqual(events[0].lowConfidence, true);
+
+  // clipping a corner, both fixes outside
+  events = Fence.events([ { lat: 0.2, lon: 179.3, time: 0 }, { lat: 0.8, lon: 179.9, time: 100 } ], across);
+  assert.deepStrictEqual(summary(events), [ 'enter across 33.335', 'exit across 50.000' ]);
+});
+
+
+test('a track starting inside gets an enter at its first fix; the far side of the world gets none', function() {
+  assert.deepStrictEqual(summary(Fence.events([ { lat: 50.5, lon: -0.5, time: 5 }, { lat: 52, lon: -0.5, time: 15 } ], uk)),
+                         [ 'enter uk 5.000', 'exit uk 8.340' ]);   // the edge bows north of 51 degrees
+
+  var far = [];
+  for (var i = 0; i <= 20; i++) far.push({ lat: -50.5, lon: LatLong.wrapLon(170 + i), time: i * 60 });
+  far.push({ lat: -89, lon: 0, time: 1300 }, { lat: 0, lon: 0, time: 2000 });
+  assert.deepStrictEqual(Fence.events(far, [ uk, across, cap ]), []);
+});
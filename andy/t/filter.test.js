@@ -0,0 +1,108 @@
+/*
+ * TrackFilter tests - a walk north over the antimeridian at 5 m/s, one fix a second,
+ *   with multipath jumps put in
+ *
+ * run with: node --test andy/t/
+ */
+
+var test = require('node:test'), assert = require('assert');
+var LatLong = require('../hav.js').LatLong;
+var ByTime = require('../bytime.js').ByTime, TrackFilter = require('../filter.js').TrackFilter;
+
+
+// the true position at time i, and a fix there with up to 3 m of zig-zag noise
+function truth(i) {
+  return { lat: 51 + i * 0.000045, lon: 179.9999 + i * 0.000001 };
+}
+
+function walk(n) {
+  var pts = [];
+  for (var i = 0; i < n; i++) {
+    var t = truth(i);
+    pts.push({ lat: t.lat + (i % 2 ? 1 : -1) * 0.000027, lon: LatLong.wrapLon(t.lon), time: i });
+  }
+  return pts;
+}
+
+// a fix some kilometres away at time i
+function jump(i, km) {
+  return { lat: truth(i).lat + km / 111, lon: LatLong.wrapLon(truth(i).lon), time: i };
+}
+
+function indexes(res) {
+  return res.rejected.map(function(r) { return r.index; });
+}
+
+
+test('clean() drops single jumps, including at the ends', function() {
+  var pts = walk(200);
+  pts[0] = jump(0, -50);
+  pts[100] = jump(100, 5);
+  pts[199] = jump(199, 50);
+  var res = TrackFilter.clean(pts);
+  assert.deepStrictEqual(indexes(res), [ 0, 100, 199 ]);
+  assert.deepStrictEqual(res.rejected.map(function(r) { return r.reason; }), [ 'speed', 'speed', 'speed' ]);
+  assert.ok(res.rejected[1].speed > 4000, 'speed from the last good fix');
+  assert.strictEqual(res.track.getPoints().length, 197);
+  assert.deepStrictEqual(indexes(TrackFilter.clean(walk(200))), []);
+});
+
+
+test("clean() drops bursts of bad fixes that agree with each other", function() {
+  var pts = walk(200);
+  for (var i = 50; i < 53; i++) pts[i] = jump(i, 5);                    // three in a row, together
+  pts[120] = jump(120, 5); pts[121] = jump(121, -5);                    // two apart
+  pts[0] = jump(0, 20); pts[1] = jump(1, 20);                           // a burst at the start
+  pts[198] = jump(198, 8); pts[199] = jump(199, 8);                     // and at the end
+  var res = TrackFilter.clean(pts);
+  assert.deepStrictEqual(indexes(res), [ 0, 1, 50, 51, 52, 120, 121, 198, 199 ]);
+
+  var kept = res.track.getPoints();
+  for (var i = 0; i < kept.length; i++)
+    assert.ok(ByTime.havDistance(kept[i], truth(kept[i].time)) < 5, 'kept ' + kept[i].time);
+});
+
+
+test('bursts longer than maxBurst are kept', function() {
+  var pts = walk(100);
+  for (var i = 40; i < 47; i++) pts[i] = jump(i, 5);
+  assert.deepStrictEqual(indexes(TrackFilter.clean(pts)), []);
+  assert.deepStrictEqual(indexes(TrackFilter.clean(pts, { maxBurst: 7 })), [ 40, 41, 42, 43, 44, 45, 46 ]);
+});
+
+
+test('clean() can drop fixes implying too sharp an acceleration', function() {
+  var pts = [];                                                          // 5 m/s, then stopped
+  for (var i = 0; i < 50; i++) pts.push({ lat: truth(Math.min(i, 20)).lat, lon: 0, time: i });
+  assert.deepStrictEqual(indexes(TrackFilter.clean(pts)), []);
+  var res = TrackFilter.clean(pts, { maxAccel: 3 });
+  assert.deepStrictEqual(indexes(res), [ 20 ]);
+  assert.strictEqual(res.rejected[0].reason, 'acceleration');
+  assert.ok(res.rejected[0].accel > 3);
+});
+
+
+test('clean() keeps the options and can smooth', function() {
+  var index = new ByTime(walk(20));
+  index.configure({ interp: 'rhumb' });
+  var res = TrackFilter.clean(index, { smooth: 'window', window: 2 });
+  assert.strictEqual(res.track.options.interp, 'rhumb');
+  assert.strictEqual(res.track.getPoints()[5].orig, index.getPoints()[5].orig || index.getPoints()[5]);
+  assert.deepStrictEqual(TrackFilter.clean([]).rejected, []);
+});
+
+
+test('smoothing brings the fixes closer to the truth, across the antimeridian', function() {
+  var pts = walk(300);
+  [ 'kalman', 'window' ].forEach(function(method) {
+    var smooth = TrackFilter.smooth(pts, { method: method }).getPoints(), raw = 0, err = 0;
+    assert.strictEqual(smooth.length, pts.length);
+    for (var i = 20; i < 280; i++) {
+      raw += ByTime.havDistance(pts[i], truth(i));
+      err += ByTime.havDistance(smooth[i], truth(i));
+      assert.ok(smooth[i].lon >= -180 && smooth[i].lon <= 180);
+    }
+    assert.ok(err < raw / 2, method + ': ' + err + ' vs ' + raw);
+  });
+  assert.throws(function() { TrackFilter.smooth(pts, { method: 'median' }); }, /Unknown smoothing method/);
+});
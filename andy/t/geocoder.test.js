@@ -0,0 +1,85 @@
+/*
+ * Geocoder tests - the built-in capitals, CSV and GeoJSON gazetteers, and places either
+ *   side of the antimeridian
+ *
+ * run with: node --test andy/t/
+ */
+
+var test = require('node:test'), assert = require('assert');
+var LatLong = require('../hav.js').LatLong, ByTime = require('../bytime.js').ByTime;
+var Geocoder = require('../geocoder.js').Geocoder;
+
+
+function names(res) {
+  return res.map(function(r) { return r.name; });
+}
+
+
+test('nearest() finds the closest capitals, for a lookup result too', function() {
+  var geocoder = new Geocoder();
+  var near = geocoder.nearest(new LatLong(51.5, -0.5), 3);
+  assert.deepStrictEqual(names(near), [ 'London', 'St. Peter Port', 'Brussels' ]);
+  assert.strictEqual(near[2].country, 'Belgium');
+  assert.ok(near[0].dist < near[1].dist && near[1].dist < near[2].dist);
+  assert.ok(near[2].brng > 90 && near[2].brng < 120, 'Brussels is east-south-east');
+
+  var track = new ByTime({ lat: 48.8, lon: 2.3, time: 0 }, { lat: 48.9, lon: 2.4, time: 100 });
+  assert.strictEqual(geocoder.nearest(track.lookup(50))[0].name, 'Paris');
+  assert.deepStrictEqual(geocoder.nearest({ lat: 0, lon: -160 }, 2, 1000), []);
+});
+
+
+test('places either side of the antimeridian are found from both sides', function() {
+  // a big gazetteer of the South Pacific, so the grid's cells are a few degrees across
+  var places = [];
+  for (var i = 0; i < 600; i++)
+    places.push({ name: 'p' + i, country: null, lat: -21 + (i * 7 % 130) / 10, lon: (i * 137.508) % 360 - 180 });
+  places.push({ name: 'Taveuni', country: 'Fiji', lat: -16.85, lon: -179.97 },
+              { name: 'Labasa', country: 'Fiji', lat: -16.43, lon: 179.38 });
+  var geocoder = new Geocoder(places);
+
+  assert.deepStrictEqual(names(geocoder.nearest({ lat: -16.8, lon: 179.99 }, 1, 20000)), [ 'Taveuni' ]);
+  assert.deepStrictEqual(names(geocoder.nearest({ lat: -16.5, lon: -179.99 }, 5, 70000)), [ 'Taveuni', 'Labasa' ]);
+  assert.deepStrictEqual(names(geocoder.nearest({ lat: -16.5, lon: 179.99 }, 2)), [ 'Taveuni', 'Labasa' ]);
+});
+
+
+test('parseCSV() reads a delimited gazetteer, reporting bad rows', function() {
+  var csv = 'Name;Country;Latitude;Longitude;Pop\n' +
+            '"Kendal, Cumbria";UK;54.328;-2.745;28586\n' +
+            'Hawes;UK;54.304;-2.198\n' +
+            'Nowhere;UK;;;0\n' +
+            'Bad;UK;95;0;1\n' +
+            '"Oops;UK;1;1;1\n';
+  var res = Geocoder.parseCSV(csv);
+  assert.deepStrictEqual(res.places, [ {
+    name: 'Kendal, Cumbria', country: 'UK', lat: 54.328, lon: -2.745,
+    properties: { Name: 'Kendal, Cumbria', Country: 'UK', Latitude: '54.328', Longitude: '-2.745', Pop: '28586' }
+  } ]);
+  assert.deepStrictEqual(res.errors, [
+    { format: 'csv', line: 3, message: 'expected 5 fields, got 4' },
+    { format: 'csv', line: 4, message: 'no position for Nowhere' },
+    { format: 'csv', line: 5, message: 'bad latitude for Bad' },
+    { format: 'csv', line: 6, message: 'unbalanced quotes' }
+  ]);
+  assert.deepStrictEqual(Geocoder.parseCSV('x,y\n1,2\n').errors,
+                         [ { format: 'csv', line: 1, message: 'header has no name, lat, lon column' } ]);
+});
+
+
+test('parseGeoJSON() reads Point features and skips other geometries', function() {
+  var res = Geocoder.parseGeoJSON(JSON.stringify({ type: 'FeatureCollection', features: [
+    { type: 'Feature', geometry: { type: 'Point', coordinates: [ -2.198, 54.304 ] }, properties: { NAME: 'Hawes', iso_a2: 'GB' } },
+    { type: 'Feature', geometry: { type: 'LineString', coordinates: [] }, properties: {} },
+    { type: 'Feature', geometry: { type: 'Point', coordinates: [ 0, 0 ] }, properties: {} }
+  ] }));
+  assert.deepStrictEqual(res.places, [
+    { name: 'Hawes', country: 'GB', lat: 54.304, lon: -2.198, properties: { NAME: 'Hawes', iso_a2: 'GB' } }
+  ]);
+  assert.deepStrictEqual(res.errors, [ { format: 'geojson', feature: 2, message: 'place has no name' } ]);
+  assert.throws(function() { Geocoder.parseGeoJSON({ type: 'Point' }); }, /Feature or FeatureCollection/);
+
+  var geocoder = new Geocoder(res.places);
+  geocoder.add(Geocoder.parseCSV('name,lat,lon\nKendal,54.328,-2.745\n').places);
+  assert.deepStrictEqual(names(geocoder.nearest({ lat: 54.3, lon: -2.5 }, 5)), [ 'Kendal', 'Hawes' ]);
+});
@@ -0,0 +1,222 @@
+/*
+ * LatLong tests - strict parsing and its errors, and the longitudes calculated points get
+ *
+ * run with: node --test andy/t/
+ */
+
+var test = require('node:test'), assert = require('assert');
+var LatLong = require('../hav.js').LatLong;
+
+
+var D = 180 / Math.PI;
+
+function caught(fn) {
+  try { fn(); } catch (e) { return e; }
+  assert.fail('nothing thrown');
+}
+
+
+test('strict llToRad() reads numbers and d-m-s, and says what is wrong with the rest', function() {
+  var lat = { strict: true, field: 'lat' };
+  assert.ok(Math.abs(LatLong.llToRad('51°28′40″N', lat) * D - (51 + 28 / 60 + 40 / 3600)) < 1e-12);
+  assert.strictEqual(LatLong.llToRad('51 28 40 N', lat), LatLong.llToRad('51°28′40″N', lat));
+  assert.strictEqual(LatLong.llToRad('-0.5', lat) * D, -0.5);
+
+  var bad = { '51°60′N': [ 'range', 'minutes' ], '91': [ 'range', 'degrees' ], '12.5.3': [ 'direction', 'direction' ],
+              '51°28′40″E': [ 'direction', 'direction' ], '': [ 'empty', null ] };
+  for (var str in bad) {
+    var e = caught(function() { LatLong.llToRad(str, lat); });
+    assert.deepStrictEqual([ e.field, e.reason, e.part, e.value ], [ 'lat', bad[str][0], bad[str][1], str ], str);
+  }
+  // the lenient default is unchanged
+  assert.strictEqual(LatLong.llToRad('51°60′N') * D, 52);
+  assert.ok(isNaN(LatLong.llToRad('x')));
+});
+
+
+test('parse() and validate() report each bad field', function() {
+  var p = LatLong.parse('51 28 40 N', '180');
+  assert.strictEqual(p.lon * D, -180);
+
+  var errors = LatLong.validate('abc', '200E');
+  assert.deepStrictEqual(errors.map(function(e) { return e.field + ' ' + e.reason; }), [ 'lat direction', 'lon range' ]);
+  assert.strictEqual(errors[1].message, 'lon: longitude must be within ±180° in "200E"');
+  assert.strictEqual(caught(function() { LatLong.parse('abc', '200E'); }).field, 'lat', 'parse() throws the first');
+  assert.deepStrictEqual(LatLong.validate(51, '0 27 41 W'), []);
+});
+
+
+test('a CoordinateError is an Error with its own stack', function() {
+  function fromParse() { return caught(function() { LatLong.parse('91', '0'); }); }
+  function fromMove() { return caught(function() { new LatLong(0, 0).destPoint('x', 1, { strict: true }); }); }
+  var a = fromParse(), b = fromMove();
+
+  assert.ok(a instanceof LatLong.CoordinateError && a instanceof Error);
+  assert.strictEqual(a.constructor, LatLong.CoordinateError);
+  assert.strictEqual(a.name, 'CoordinateError');
+  assert.strictEqual(String(a), 'CoordinateError: lat: latitude must be within ±90° in "91"');
+  assert.ok(!Error.prototype.hasOwnProperty('field'), 'the prototype is not an Error instance');
+
+  assert.notStrictEqual(a.stack, b.stack);
+  assert.ok(/^CoordinateError: lat: latitude/.test(a.stack), a.stack);
+  assert.ok(/fromParse/.test(a.stack) && !/fromMove/.test(a.stack), a.stack);
+  assert.ok(/destPoint/.test(b.stack) && /fromMove/.test(b.stack), b.stack);
+});
+
+
+test('strict midPoint() and destPoint() throw where the lenient ones return null', function() {
+  var e = caught(function() { LatLong.midPoint({ lat: 2, lon: 0 }, new LatLong(0, 0), { strict: true }); });
+  assert.deepStrictEqual([ e.field, e.reason ], [ 'lat', 'range' ]);
+  assert.strictEqual(LatLong.midPoint({ lat: NaN, lon: 0 }, new LatLong(0, 0)), null);
+
+  e = caught(function() { new LatLong(0, 0).destPoint(90, 'far', { strict: true }); });
+  assert.deepStrictEqual([ e.field, e.reason ], [ 'dist', 'syntax' ]);
+  assert.strictEqual(new LatLong(0, 0).destPoint(90, 'far'), null);
+});
+
+
+test('calculated points have longitudes in [-180, 180)', function() {
+  // 222.639 km is 2° of longitude on the equator
+  var start = new LatLong(0, 179);
+  assert.ok(Math.abs(start.destPoint(90, 222.639).lon * D + 179) < 1e-6);
+  assert.ok(Math.abs(start.destPointRhumb(90, 222.639).lon * D + 179) < 1e-6);
+  assert.strictEqual(LatLong.midPoint(new LatLong(0, 170), new LatLong(0, -170)).lon * D, -180);
+  assert.strictEqual(LatLong.intermediatePoint(new LatLong(0, 170), new LatLong(0, -170), 0.5).lon * D, -180);
+});
+
+
+test('Vincenty matches the Flinders Peak to Buninyong geodesic', function() {
+  // T Vincenty's worked example, as published by Geoscience Australia
+  var flinders = new LatLong('37 57 03.72030 S', '144 25 29.52440 E');
+  var buninyong = new LatLong('37 39 10.15610 S', '143 55 35.38390 E');
+  var m = { units: 'm' }, brng = 306 + 52 / 60 + 5.37 / 3600;
+
+  var inv = LatLong.vincentyInverse(flinders, buninyong, m);
+  assert.ok(Math.abs(inv.dist - 54972.271) < 5e-4, inv.dist);
+  assert.ok(Math.abs(inv.initBrng * D + 360 - brng) < 1e-5, inv.initBrng * D);
+  assert.ok(Math.abs(inv.finalBrng * D + 360 - (307 + 10 / 60 + 25.07 / 3600)) < 1e-5, inv.finalBrng * D);
+  assert.strictEqual(LatLong.distVincenty(flinders, buninyong), inv.dist / 1000);
+
+  // the direct form takes us back to Buninyong, arriving on the same bearing
+  var dest = flinders.destPointVincenty(brng, 54972.271, m);
+  assert.ok(Math.abs(dest.lat - buninyong.lat) * D < 1e-8 && Math.abs(dest.lon - buninyong.lon) * D < 1e-8);
+  assert.ok(Math.abs(flinders.finalBrngVincenty(brng, 54972.271, m) - inv.finalBrng) < 1e-7);
+});
+
+
+test('the Vincenty inverse and direct solutions agree', function() {
+  // to 10 µm and 0.02", well inside the formulae's 0.5 mm
+  var m = { units: 'm' }, starts = [ [ 51.5, -0.1 ], [ -33.9, 151.2 ], [ 0, 179.9 ], [ 89, 0 ] ];
+  starts.forEach(function(s) {
+    var p1 = new LatLong(s[0], s[1]);
+    [ 0, 45, 135, 260 ].forEach(function(brng) {
+      [ 10, 1e5, 5e6 ].forEach(function(dist) {
+        var p2 = p1.destPointVincenty(brng, dist, m), inv = LatLong.vincentyInverse(p1, p2, m);
+        var what = s + ' ' + brng + '° ' + dist + ' m';
+        assert.ok(Math.abs(inv.dist - dist) < 1e-5, what + ': ' + inv.dist);
+        assert.ok(Math.abs(LatLong._normLon(inv.initBrng - brng / D)) < 1e-7, what);
+        assert.ok(Math.abs(LatLong._normLon(inv.finalBrng - p1.finalBrngVincenty(brng, dist, m))) < 1e-7, what);
+      });
+    });
+  });
+});
+
+
+test('Vincenty handles coincident and antipodal points, and says when it cannot converge', function() {
+  var p = new LatLong(10, 20), inv = LatLong.vincentyInverse(p, p);
+  assert.strictEqual(inv.dist, 0);
+  assert.ok(isNaN(inv.initBrng) && isNaN(inv.finalBrng));
+
+  // exactly antipodal: half a meridian, over the pole
+  inv = LatLong.vincentyInverse(new LatLong(0, 0), new LatLong(0, 180), { units: 'm' });
+  assert.ok(Math.abs(inv.dist - 20003931.4586) < 1e-3, inv.dist);
+  assert.deepStrictEqual([ inv.initBrng, inv.finalBrng ], [ 0, Math.PI ]);
+
+  assert.throws(function() { LatLong.distVincenty(new LatLong(0, 0), new LatLong(0.5, 179.7)); },
+                /failed to converge: points are nearly antipodal/);
+});
+
+
+test('configure() sets the Earth model and units, and its return value restores them', function() {
+  var a = new LatLong(0, 0), b = new LatLong(0, 1), deg = 6378.137 * Math.PI / 180;
+  assert.deepStrictEqual(LatLong.config, { radius: null, datum: 'WGS84', units: 'km' });
+  assert.ok(Math.abs(LatLong.distHaversine(a, b) - deg) < 1e-9);
+
+  var old = LatLong.configure({ radius: 6371000, units: 'm' });
+  try {
+    assert.deepStrictEqual(LatLong.config, { radius: 6371000, datum: 'WGS84', units: 'm' });
+    assert.ok(Math.abs(LatLong.distHaversine(a, b) - 6371000 * Math.PI / 180) < 1e-6);
+    // per-call options win over the configured ones
+    assert.ok(Math.abs(LatLong.distHaversine(a, b, { radius: null, units: 'km' }) - deg) < 1e-9);
+    assert.ok(Math.abs(LatLong.distVincenty(a, b) - 111319.49079) < 1e-5);
+  } finally {
+    assert.deepStrictEqual(LatLong.configure(old), { radius: 6371000, datum: 'WGS84', units: 'm' });
+  }
+  assert.deepStrictEqual(LatLong.config, { radius: null, datum: 'WGS84', units: 'km' });
+
+  assert.throws(function() { LatLong.configure({ units: 'furlong' }); }, /Unknown distance units: furlong/);
+  assert.throws(function() { LatLong.configure({ datum: 'Mars' }); }, /Unknown datum: Mars/);
+  assert.throws(function() { LatLong.configure({ radius: -1 }); }, /Bad Earth radius/);
+  assert.deepStrictEqual(LatLong.config, { radius: null, datum: 'WGS84', units: 'km' });
+});
+
+
+test('every distance function gives its answer in the units asked for', function() {
+  var a = new LatLong(51.5, -0.1), b = new LatLong(48.85, 2.35), km = LatLong.distHaversine(a, b);
+  for (var u in LatLong.units) {
+    var scale = 1000 / LatLong.units[u], opts = { units: u }, what = u;
+    assert.ok(Math.abs(LatLong.distHaversine(a, b, opts) - km * scale) < 1e-9 * scale, what);
+    assert.ok(Math.abs(LatLong.distCosineLaw(a, b, opts) - km * scale) < 1e-6 * scale, what);
+    assert.ok(Math.abs(LatLong.distVincenty(a, b, opts) - LatLong.distVincenty(a, b) * scale) < 1e-9 * scale, what);
+    assert.ok(Math.abs(LatLong.distRhumb(a, b, opts) - LatLong.distRhumb(a, b) * scale) < 1e-9 * scale, what);
+    var there = a.destPoint(LatLong.bearing(a, b) * D, km * scale, opts);
+    assert.ok(LatLong.distHaversine(there, b, { units: 'm' }) < 1e-6, what);
+  }
+  assert.strictEqual(LatLong.units.nm, 1852);
+  assert.strictEqual(LatLong.units.mi, 1609.344);
+});
+
+
+test('the spherical formulae share one radius, so their distances round-trip', function() {
+  var a = new LatLong(54, -2), b = new LatLong(54.5, -1.2);
+  var dist = LatLong.distHaversine(a, b), brng = LatLong.bearing(a, b) * D;
+  assert.ok(Math.abs(LatLong.distCosineLaw(a, b) - dist) < 1e-6);
+  assert.ok(LatLong.distHaversine(a.destPoint(brng, dist), b, { units: 'm' }) < 1e-6);
+  var rhumb = LatLong.distRhumb(a, b);
+  assert.ok(LatLong.distHaversine(a.destPointRhumb(LatLong.brngRhumb(a, b) * D, rhumb), b, { units: 'm' }) < 1e-6);
+
+  // the 6371 km mean radius the cosine law, destPoint and rhumb functions had before
+  var oneDegree = { mean: 6371 * Math.PI / 180, major: 6378.137 * Math.PI / 180 };
+  var p = new LatLong(0, 0), q = new LatLong(0, 1);
+  assert.ok(Math.abs(LatLong.distCosineLaw(p, q) - oneDegree.major) < 1e-9);
+  assert.ok(Math.abs(LatLong.distCosineLaw(p, q, { radius: 6371000 }) - oneDegree.mean) < 1e-9);
+  assert.ok(Math.abs(p.destPoint(90, oneDegree.mean, { radius: 6371000 }).lon * D - 1) < 1e-12);
+  assert.ok(Math.abs(LatLong.distRhumb(p, q, { radius: 6371000 }) - oneDegree.mean) < 1e-9);
+});
+
+
+test('cross-track and along-track distances match the published example and the equator', function() {
+  // Chris Veness's example on a 6371 km sphere: 307.5 m left of the path, 62.331 km along it
+  var m = { units: 'm', radius: 6371000 };
+  var start = new LatLong(53.3206, -1.7297), end = new LatLong(53.1887, 0.1334), p = new LatLong(53.2611, -0.7972);
+  assert.strictEqual(Math.round(p.crossTrackDist(start, end, m) * 10) / 10, -307.5);
+  assert.strictEqual(Math.round(p.alongTrackDist(start, end, m)), 62331);
+
+  // along the equator the distances are the latitude and longitude, signed by side and
+  // by whether the closest point is behind the start
+  var a = new LatLong(0, 0), b = new LatLong(0, 20), deg = 6378137 * Math.PI / 180;
+  var close = function(got, want) { assert.ok(Math.abs(got - want) < 1e-6, got + ' != ' + want); };
+  close(new LatLong(1, 10).crossTrackDist(a, b, { units: 'm' }), -deg);
+  close(new LatLong(-1, 10).crossTrackDist(a, b, { units: 'm' }), deg);
+  close(new LatLong(1, 10).alongTrackDist(a, b, { units: 'm' }), 10 * deg);
+  close(new LatLong(-3, -5).alongTrackDist(a, b, { units: 'm' }), -5 * deg);
+  close(new LatLong(2, 30).alongTrackDist(a, b, { units: 'm' }), 30 * deg);
+  close(new LatLong(1, 10).crossTrackDist(a, b), -deg / 1000);
+  close(b.crossTrackDist(a, b, { units: 'm' }), 0);
+});
+
+
+test('wrapLon() brings any longitude in degrees into [-180, 180)', function() {
+  assert.deepStrictEqual([ 0, 179.5, 180, -180, 190, -190, 540, -541, 720.25 ].map(LatLong.wrapLon),
+                         [ 0, 179.5, -180, -180, -170, 170, -180, 179, 0.25 ]);
+});
@@ -0,0 +1,179 @@
+/*
+ * TrackReader tests - one document per format, with good and malformed records, read
+ * whole and in chunks split at every position
+ *
+ * run with: node --test andy/t/
+ */
+
+var test = require('node:test'), assert = require('assert');
+var TrackReader = require('../readers.js').TrackReader;
+
+
+var D = 180 / Math.PI;
+
+// the points in degrees, so the expected values can be written as they are in the source
+function fixes(res) {
+  return res.points.map(function(p) {
+    var pt = { lat: +(p.lat * D).toFixed(6), lon: +(p.lon * D).toFixed(6), time: p.time };
+    if ('ele' in p) pt.ele = p.ele;
+    if ('hdop' in p) pt.hdop = p.hdop;
+    if ('sat' in p) pt.sat = p.sat;
+    return pt;
+  });
+}
+
+// read text in the given chunks, collecting through the callbacks as a caller would
+function read(format, chunks) {
+  var res = { points: [], errors: [] };
+  var reader = new TrackReader(format, { point: function(p) { res.points.push(p); },
+                                         error: function(e) { res.errors.push(e); } });
+  chunks.forEach(function(c) { reader.write(c); });
+  reader.end();
+  return res;
+}
+
+// the same points and errors however the text is cut: in two at every position, and in
+// runs of 1 to 7 characters
+function sameInChunks(format, text) {
+  var whole = TrackReader.parse(text, format);
+  for (var i = 1; i < text.length; i++) {
+    assert.deepStrictEqual(read(format, [ text.slice(0, i), text.slice(i) ]), whole, format + ' split at ' + i);
+  }
+  for (var n = 1; n <= 7; n++) {
+    var chunks = [];
+    for (var i = 0; i < text.length; i += n) chunks.push(text.slice(i, i + n));
+    assert.deepStrictEqual(read(format, chunks), whole, format + ' in ' + n + ' character chunks');
+  }
+  return whole;
+}
+
+
+var gpx = '<?xml version="1.0"?>\n' +
+  '<gpx xmlns="http://www.topografix.com/GPX/1/1">\n' +
+  '<!-- a <comment> -->\n' +
+  '<wpt lat="54.1" lon="-2.1"><name>Tea &amp; cake</name></wpt>\n' +
+  '<trk><trkseg>\n' +
+  '<trkpt lat="54.2" lon="-2.2"><ele>101.5</ele><time>2007-02-23T10:15:00Z</time><hdop>1.5</hdop><sat>7</sat></trkpt>\n' +
+  '<trkpt lat="54.3" lon=\'-2.3\'><time>2007-02-23T10:15:10Z</time></trkpt>\n' +
+  '<trkpt lat="95" lon="-2.3"><time>2007-02-23T10:15:20Z</time></trkpt>\n' +
+  '<trkpt lat="54.4" lon="-2.4"><time>yesterday</time></trkpt>\n' +
+  '  <trkpt lat="54.5" lon="-2.5"><time><![CDATA[2007-02-23T10:15:40Z]]></time><ele>x</ele></trkpt>\n' +
+  '</trkseg></trk>\n' +
+  '<rte><rtept lat="54.6" lon="-2.6"><time>2007-02-23T10:16:00Z</time></rtept></rte>\n' +
+  '<wpt lat="54.7" lon="-2.7"><time>2007-02-23T10:17:00Z</time></wpt>\n' +
+  '</gpx>\n';
+
+
+test('GPX: trkpt, rtept and wpt read whole or in chunks, malformed ones reported where they are', function() {
+  var res = sameInChunks('gpx', gpx);
+  assert.deepStrictEqual(fixes(res), [
+    { lat: 54.2, lon: -2.2, time: 1172225700, ele: 101.5, hdop: 1.5, sat: 7 },
+    { lat: 54.3, lon: -2.3, time: 1172225710 },
+    { lat: 54.6, lon: -2.6, time: 1172225760 },
+    { lat: 54.7, lon: -2.7, time: 1172225820 }
+  ]);
+  assert.deepStrictEqual(res.errors, [
+    { format: 'gpx', line: 4, column: 1, element: 'wpt', message: 'no time' },
+    { format: 'gpx', line: 8, column: 1, element: 'trkpt', message: 'latitude 95 out of range' },
+    { format: 'gpx', line: 9, column: 1, element: 'trkpt', message: 'bad time' },
+    { format: 'gpx', line: 10, column: 3, element: 'trkpt', message: 'bad ele "x"' }
+  ]);
+});
+
+
+test('GPX: broken markup is reported with the line, column and element', function() {
+  var t = '<time>2007-02-23T10:15:00Z</time>';
+  assert.deepStrictEqual(TrackReader.parse('<gpx><trkpt lat="1" lon="2">' + t + '</trk></gpx>', 'gpx').errors, [
+    { format: 'gpx', line: 1, column: 62, element: 'trk', message: 'expected </trkpt>, found </trk>' },
+    { format: 'gpx', line: 1, column: 68, element: 'gpx', message: 'unexpected </gpx>' }
+  ]);
+  // the point is complete, so it is kept though the document is cut short
+  var res = TrackReader.parse('<gpx>\n<trkpt lat="1" lon="2">' + t + '</trkpt>', 'gpx');
+  assert.deepStrictEqual(fixes(res), [ { lat: 1, lon: 2, time: 1172225700 } ]);
+  assert.deepStrictEqual(res.errors, [ { format: 'gpx', line: 1, column: 1, element: 'gpx', message: '<gpx> not closed' } ]);
+  assert.deepStrictEqual(TrackReader.parse('<gpx>\n<trkpt lat="1"', 'gpx').errors, [
+    { format: 'gpx', line: 2, column: 1, message: 'unterminated markup' },
+    { format: 'gpx', line: 1, column: 1, element: 'gpx', message: '<gpx> not closed' }
+  ]);
+});
+
+
+test('KML: gx:Track read whole or in chunks, mismatched lists and bad coordinates reported', function() {
+  var kml = '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">\n' +
+    '<Placemark><gx:Track>\n' +
+    '<when>2007-02-23T10:15:00Z</when>\n' +
+    '<when>2007-02-23T10:15:10Z</when>\n' +
+    '<when>2007-02-23T10:15:20Z</when>\n' +
+    '<gx:coord>-2.2 54.2 101.5</gx:coord>\n' +
+    '<gx:coord>-2.3 54.3</gx:coord>\n' +
+    '<gx:coord>-2.4</gx:coord>\n' +
+    '<ExtendedData><SchemaData schemaUrl="#s">\n' +
+    '<gx:SimpleArrayData name="hdop"><gx:value>1.5</gx:value><gx:value>2</gx:value><gx:value>3</gx:value></gx:SimpleArrayData>\n' +
+    '</SchemaData></ExtendedData>\n' +
+    '</gx:Track></Placemark>\n' +
+    '<Placemark><gx:Track><when>2007-02-23T10:16:00Z</when></gx:Track></Placemark>\n' +
+    '</kml>\n';
+
+  var res = sameInChunks('kml', kml);
+  assert.deepStrictEqual(fixes(res), [
+    { lat: 54.2, lon: -2.2, time: 1172225700, ele: 101.5, hdop: 1.5 },
+    { lat: 54.3, lon: -2.3, time: 1172225710, hdop: 2 }
+  ]);
+  assert.deepStrictEqual(res.errors, [
+    { format: 'kml', line: 8, column: 1, element: 'gx:coord', message: 'bad coordinates "-2.4"' },
+    { format: 'kml', line: 13, column: 12, element: 'gx:Track', message: 'track has 1 <when> but 0 <gx:coord>' }
+  ]);
+});
+
+
+test('NMEA: RMC and GGA merged per fix whole or in chunks, bad sentences reported by line', function() {
+  var nmea = [
+    '$GPRMC,235959.00,A,5128.650,N,00027.683,W,0.0,0.0,230207,,,A*4C',
+    '$GPGGA,235959.00,5128.650,N,00027.683,W,1,08,0.9,45.2,M,,M,,*56',
+    '$GPGGA,000001.00,5128.660,N,00027.690,W,1,07,1.2,46.0,M,,M,,*53',   // past midnight
+    '$GPGGA,000002.00,5128.670,N,00027.700,W,1,07,1.2,46.0,M,,M,,*00',
+    '$GPGGA,000003.00,5128.680,N,00027.710,W,0,00,,,M,,M,,*61',
+    'garbage',
+    '$GNRMC,000004.00,A,5128.690,N,00027.720,W,0.0,0.0,240207,,,A*54'
+  ].join('\r\n') + '\r\n';
+
+  var res = sameInChunks('nmea', nmea);
+  assert.deepStrictEqual(fixes(res), [
+    { lat: 51.4775, lon: -0.461383, time: 1172275199, ele: 45.2, hdop: 0.9, sat: 8 },
+    { lat: 51.477667, lon: -0.4615, time: 1172275201, ele: 46, hdop: 1.2, sat: 7 },
+    { lat: 51.478167, lon: -0.462, time: 1172275204 }
+  ]);
+  assert.deepStrictEqual(res.errors, [
+    { format: 'nmea', line: 4, message: 'checksum mismatch' },
+    { format: 'nmea', line: 5, message: 'GGA fix not valid (quality 0)' },
+    { format: 'nmea', line: 6, message: 'malformed NMEA sentence' }
+  ]);
+});
+
+
+test('CSV: rows read whole or in chunks, bad ones reported by line', function() {
+  var csv = 'Time;Latitude;Longitude;Alt;HDOP\n' +
+    '2007-02-23T10:15:00Z;54.2;-2.2;101.5;1.5\n' +
+    '1172225710;"54,3";-2.3;;\n' +
+    '2007-02-23T10:15:20Z;54.4;-2.4\n' +
+    '2007-02-23T10:15:30Z;"54.5;-2.5;1;1\n' +
+    'noon;54.6;-2.6;1;1\n' +
+    '1172225760;"54.7";-2.7;;\n';
+
+  var res = sameInChunks('csv', csv);
+  assert.deepStrictEqual(fixes(res), [
+    { lat: 54.2, lon: -2.2, time: 1172225700, ele: 101.5, hdop: 1.5 },
+    { lat: 54.7, lon: -2.7, time: 1172225760 }
+  ]);
+  assert.deepStrictEqual(res.errors, [
+    { format: 'csv', line: 3, message: 'bad latitude "54,3"' },
+    { format: 'csv', line: 4, message: 'expected 5 fields, got 3' },
+    { format: 'csv', line: 5, message: 'unbalanced quotes' },
+    { format: 'csv', line: 6, message: 'bad time' }
+  ]);
+
+  assert.deepStrictEqual(TrackReader.parse('a,b\n1,2\n', 'csv').errors, [
+    { format: 'csv', line: 1, message: 'header has no lat, lon, time column' },
+    { format: 'csv', line: 2, message: 'no usable header row' }
+  ]);
+});
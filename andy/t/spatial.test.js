@@ -0,0 +1,128 @@
+/*
+ * SpatialIndex tests - searches checked against brute force, especially round the
+ *   antimeridian and the poles, for cell sizes that do and don't divide 360
+ *
+ * run with: node --test andy/t/
+ */
+
+var test = require('node:test'), assert = require('assert');
+var LatLong = require('../hav.js').LatLong, cities = require('../hav.js').cities;
+var ByTime = require('../bytime.js').ByTime, SpatialIndex = require('../spatial.js').SpatialIndex;
+
+
+// repeatable pseudo-random numbers in 0...1
+function random(seed) {
+  return function() {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+}
+
+// points bunched near the antimeridian and the poles, and some anywhere
+function points(rand, n) {
+  var pts = [];
+  for (var i = 0; i < n; i++) {
+    var lat = rand() * 180 - 90, lon = rand() * 360 - 180;
+    if (i % 3 == 0) lon = 180 - rand() * 4 * (i % 2 ? 1 : -1);
+    if (i % 5 == 0) lat = (90 - rand() * 4) * (i % 2 ? 1 : -1);
+    pts.push({ lat: lat, lon: LatLong.wrapLon(lon), id: i });
+  }
+  return pts;
+}
+
+function bruteWithin(pts, place, radius) {
+  var res = [], from = new LatLong(place.lat, place.lon);
+  for (var i = 0; i < pts.length; i++) {
+    if (LatLong.distHaversine(from, new LatLong(pts[i].lat, pts[i].lon), { units: 'm' }) <= radius)
+      res.push(pts[i].id);
+  }
+  return res;
+}
+
+function ids(res) {
+  return res.map(function(r) { return r.point.id; }).sort(function(a, b) { return a - b; });
+}
+
+var cellSizes = [ 5, 7, 11, 0.7, 13.5, null ];
+
+
+test('points either side of the antimeridian are found whatever the cell size', function() {
+  cellSizes.forEach(function(cellSize) {
+    var index = new SpatialIndex([ { lat: 0, lon: 179.5 }, { lat: 0, lon: -179.5 } ], { cellSize: cellSize });
+    assert.strictEqual(index.within({ lat: 0, lon: 179.9 }, 200000).length, 2, 'within, ' + cellSize);
+    assert.strictEqual(index.within({ lat: 0, lon: -179.9 }, 200000).length, 2, 'within, ' + cellSize);
+    assert.strictEqual(index.nearest({ lat: 0, lon: 179.9 })[0].point.lon, 179.5, 'nearest, ' + cellSize);
+    assert.strictEqual(index.nearest({ lat: 0, lon: -179.9 })[0].point.lon, -179.5, 'nearest, ' + cellSize);
+    assert.strictEqual(index.inBox({ south: -1, west: 179, north: 1, east: -179 }).length, 2, 'inBox, ' + cellSize);
+  });
+});
+
+
+test('within() and nearest() match brute force, near the antimeridian and the poles too', function() {
+  var rand = random(42), pts = points(rand, 400);
+  cellSizes.forEach(function(cellSize) {
+    var index = new SpatialIndex(pts, { cellSize: cellSize });
+    for (var i = 0; i < 60; i++) {
+      var place = { lat: i % 4 ? rand() * 180 - 90 : 89 - rand() * 2,
+                    lon: i % 3 ? 180 - rand() * 6 : rand() * 360 - 180 };
+      var radius = [ 1e4, 2e5, 1e6, 5e6 ][i % 4];
+      assert.deepStrictEqual(ids(index.within(place, radius)), bruteWithin(pts, place, radius),
+                             cellSize + ': ' + JSON.stringify(place) + ' ' + radius);
+
+      var near = index.nearest(place, 3), all = bruteWithin(pts, place, 3e7);
+      var from = new LatLong(place.lat, place.lon), dists = pts.map(function(p) {
+        return LatLong.distHaversine(from, new LatLong(p.lat, p.lon), { units: 'm' });
+      }).sort(function(a, b) { return a - b; });
+      assert.strictEqual(all.length, pts.length);
+      assert.deepStrictEqual(near.map(function(r) { return r.dist; }), dists.slice(0, 3));
+    }
+  });
+});
+
+
+test('inBox() matches brute force, including boxes across the antimeridian', function() {
+  var rand = random(7), pts = points(rand, 400);
+  cellSizes.forEach(function(cellSize) {
+    var index = new SpatialIndex(pts, { cellSize: cellSize });
+    for (var i = 0; i < 40; i++) {
+      var south = rand() * 170 - 90, west = i % 2 ? 170 + rand() * 10 : rand() * 360 - 180;
+      var box = { south: south, north: south + rand() * 20, west: west, east: LatLong.wrapLon(west + rand() * 30) };
+      var expect = pts.filter(function(p) {
+        var lon = p.lon < box.west ? p.lon + 360 : p.lon, east = box.east < box.west ? box.east + 360 : box.east;
+        return p.lat >= box.south && p.lat <= box.north && lon <= east;
+      }).map(function(p) { return p.id; });
+      assert.deepStrictEqual(ids(index.inBox(box)), expect, cellSize + ': ' + JSON.stringify(box));
+    }
+  });
+});
+
+
+test('searches at the poles take in every longitude', function() {
+  var pts = [];
+  for (var lon = -180; lon < 180; lon += 15) pts.push({ lat: 89.9, lon: lon }, { lat: -89.9, lon: lon });
+  [ 7, 0.7 ].forEach(function(cellSize) {
+    var index = new SpatialIndex(pts, { cellSize: cellSize });
+    assert.strictEqual(index.within({ lat: 90, lon: 0 }, 12000).length, 24);
+    assert.strictEqual(index.within({ lat: -90, lon: 123 }, 12000).length, 24);
+    assert.strictEqual(index.within({ lat: 89.95, lon: 100 }, 20000).length, 24);
+    assert.strictEqual(index.nearest({ lat: 90, lon: 0 }, 30).length, 30);
+    assert.strictEqual(index.inBox({ south: 89, west: -180, north: 90, east: 180 }).length, 24);
+  });
+});
+
+
+test('points may be LatLongs, accessor objects, ByTime fixes or anything position() places', function() {
+  var index = new SpatialIndex(cities, { position: function(c) { return { lat: c[2], lon: c[3] }; } });
+  var near = index.nearest({ lat: 51.5, lon: -0.1 }, 2);
+  assert.strictEqual(near[0].point[1], 'London');
+  assert.ok(near[0].dist < near[1].dist);
+  assert.strictEqual(index.within(new LatLong(51.5, -0.1), 1000).length, 0);
+
+  var fix = { lat: 54, lon: -2, time: 0, name: 'fix' };
+  index = new SpatialIndex(new ByTime(fix));
+  index.add([ new LatLong(54, -2.001) ]);
+  near = index.nearest({ latitude: function() { return 54; }, longitude: function() { return '2W'; } }, 2);
+  assert.strictEqual(near[0].point, fix);
+  assert.strictEqual(near[1].index, 1);
+  assert.throws(function() { index.add([ { lat: 91, lon: 0 } ]); }, /Don't know where/);
+});
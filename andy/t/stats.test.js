@@ -0,0 +1,66 @@
+/*
+ * TrackStats tests - a walk east, a ten minute stop, a gap, then a walk north
+ *
+ * run with: node --test andy/t/
+ */
+
+var test = require('node:test'), assert = require('assert');
+var ByTime = require('../bytime.js').ByTime, TrackStats = require('../stats.js').TrackStats;
+
+
+var t0 = 1172224800, metre = 180 / (Math.PI * 6378137);   // in degrees of latitude
+
+function walk() {
+  var pts = [], i;
+  for (i = 0; i <= 10; i++) pts.push({ lat: 0, lon: i * 10 * metre, time: t0 + i * 10 });          // 1 m/s east
+  for (i = 1; i <= 12; i++) pts.push({ lat: (i % 2) * 2 * metre, lon: 100 * metre, time: t0 + 100 + i * 50 });
+  for (i = 1; i <= 10; i++) pts.push({ lat: i * 20 * metre, lon: 100 * metre, time: t0 + 3600 + i * 10 });
+  return pts;
+}
+
+
+test('summary() adds up the legs, the moving time and the segments', function() {
+  var s = TrackStats.summary(walk(), { maxGap: 600, stopRadius: 5 });
+  assert.strictEqual(s.points, 33);
+  assert.strictEqual(s.start, t0);
+  assert.strictEqual(s.end, t0 + 3700);
+  assert.strictEqual(s.elapsed, 3700);
+  assert.ok(Math.abs(s.distance - (100 + 12*2 + 200)) < 0.5, s.distance);
+  assert.strictEqual(s.moving, 190, 'jitter while stopped and the gap are not moving');
+  assert.strictEqual(s.stopped, 3510);
+  assert.ok(Math.abs(s.maxSpeed - 2) < 1e-9, s.maxSpeed);
+  assert.deepStrictEqual(s.legs.filter(function(l) { return l.gap; }).map(function(l) { return l.index; }), [ 22 ]);
+  assert.deepStrictEqual(s.segments.map(function(seg) { return [ seg.start, seg.end ]; }),
+                         [ [ t0, t0 + 700 ], [ t0 + 3610, t0 + 3700 ] ]);
+
+  assert.ok(Math.abs(s.legs[0].brng - 90) < 1e-6);
+  assert.strictEqual(s.legs[0].turn, null);
+  assert.ok(Math.abs(s.legs[1].turn) < 1e-6);
+  assert.ok(Math.abs(s.legs[24].turn) < 1e-6 && Math.abs(s.legs[24].brng) < 1e-6, 'heading north');
+});
+
+
+test('stops() finds where the track stayed put long enough', function() {
+  var stops = TrackStats.stops(walk(), { stopRadius: 5 });
+  assert.strictEqual(stops.length, 1);
+  assert.strictEqual(stops[0].start, t0 + 100);
+  assert.strictEqual(stops[0].end, t0 + 700);
+  assert.strictEqual(stops[0].points, 13);
+  assert.strictEqual(stops[0].index, 10);
+  assert.ok(ByTime.havDistance(stops[0], { lat: metre, lon: 100 * metre }) < 1);
+  assert.deepStrictEqual(TrackStats.stops(walk(), { stopRadius: 5, stopTime: 1000 }), []);
+  assert.ok(TrackStats.stops(walk())[0].start < t0 + 100, 'the end of the walk in is within 50 m too');
+});
+
+
+test('turns are signed and the centroid is safe across the antimeridian', function() {
+  var s = TrackStats.summary([
+    { lat: 0, lon: 179.999, time: 0 }, { lat: 0, lon: -179.999, time: 100 }, { lat: -0.002, lon: -179.999, time: 200 }
+  ]);
+  assert.ok(Math.abs(s.legs[0].brng - 90) < 1e-6, 'east across the antimeridian');
+  assert.ok(Math.abs(s.legs[1].turn - 90) < 1e-3, 'turning right is positive: ' + s.legs[1].turn);
+  assert.ok(Math.abs(s.distance - 445) < 1, s.distance);
+
+  var stop = TrackStats.stops([ { lat: 10, lon: 179.9999, time: 0 }, { lat: 10, lon: -179.9999, time: 400 } ])[0];
+  assert.ok(Math.abs(Math.abs(stop.lon) - 180) < 1e-6, stop.lon);
+});
@@ -0,0 +1,195 @@
+/*
+ * TrackStore tests - lookups checked against ByTime on the same points, then the columns
+ * and the async ways in
+ *
+ * run with: node --test andy/t/
+ */
+
+var test = require('node:test'), assert = require('assert');
+var Readable = require('stream').Readable, EventEmitter = require('events');
+var ByTime = require('../bytime.js').ByTime;
+var TrackStore = require('../store.js').TrackStore;
+
+
+// a little LCG so every run gets the same track
+function seeded(seed) {
+  return function() { seed = (seed * 1103515245 + 12345) % 2147483648; return seed / 2147483648; };
+}
+
+// a wandering track across the antimeridian with gaps, repeated times, and hdop and ele
+// on some fixes - shuffled, as if merged from several loggers
+function track(rand, n) {
+  var pts = [], t = 1000;
+  for (var i = 0; i < n; i++) {
+    t += rand() < 0.01 ? 200 : (rand() < 0.1 ? 0 : rand() * 2);
+    var pt = { lat: 54 + rand() * 0.1, lon: 179.95 + rand() * 0.1, time: t, id: i };
+    if (pt.lon > 180) pt.lon -= 360;
+    if (rand() < 0.3) pt.hdop = 1 + rand() * 3;
+    if (rand() < 0.7) pt.ele = rand() * 100;
+    pts.push(pt);
+  }
+  for (var i = pts.length - 1; i > 0; i--) {
+    var j = Math.floor(rand() * (i + 1)), x = pts[i];
+    pts[i] = pts[j]; pts[j] = x;
+  }
+  return pts;
+}
+
+function times(store) { return Array.prototype.slice.call(store.columns().time); }
+
+
+test('lookups match ByTime on the same points, repeated times and all', function() {
+  var rand = seeded(7), pts = track(rand, 3000);
+  pts.push({ lat: null, lon: 1, time: 5 });
+  var index = new ByTime(pts), store = new TrackStore({ chunk: 333, keepOriginals: true, capacity: 10 });
+  store.add(pts.slice(0, 1000));
+  store.add(pts.slice(1000, 2000), pts.slice(2000));
+
+  var opts = { maxGap: 60, onGap: 'flag', extrapolate: 30 };
+  index.configure(opts);
+  store.configure(opts);
+  var fixes = index.getPoints(), last = fixes[fixes.length-1].time, queries = [];
+  for (var i = 0; i < 1000; i++) queries.push(900 + rand() * (last - 800));
+  // exact hits, most of them on a time shared by several fixes
+  for (var i = 0; i < fixes.length; i += 7) queries.push(fixes[i].time);
+
+  var many = store.lookupMany(queries), near = store.nearestMany(queries, 5);
+  for (var i = 0; i < queries.length; i++) {
+    var want = index.lookup(queries[i]);
+    assert.deepStrictEqual(store.lookup(queries[i]), want, 'lookup ' + queries[i]);
+    assert.deepStrictEqual(many[i], want, 'lookupMany ' + queries[i]);
+    assert.deepStrictEqual(near[i], index.nearest(queries[i], 5), 'nearestMany ' + queries[i]);
+  }
+});
+
+
+test('chunks merge into one sorted track, equal times in the order they were added', function() {
+  var pts = [], store = new TrackStore({ chunk: 4, capacity: 2 });
+  for (var i = 0; i < 40; i++) pts.push({ lat: i, lon: 0, time: (i * 7) % 10 });
+  store.add(pts);
+  store.add({ lat: 100, lon: 0, time: 5 });
+
+  assert.strictEqual(store.length, 41);
+  assert.ok(store.capacity >= 41);
+  var index = new ByTime(pts.concat({ lat: 100, lon: 0, time: 5 }));
+  assert.deepStrictEqual(store.getPoints(), index.getPoints().map(function(p) { return { lat: p.lat, lon: p.lon, time: p.time }; }));
+  assert.deepStrictEqual(store.getPoints().filter(function(p) { return p.time == 5; }).map(function(p) { return p.lat; }),
+                         [ 5, 15, 25, 35, 100 ]);
+
+  // exact lookups find the first fix with the time, as ByTime's do
+  assert.strictEqual(store.lookup(5).nearest.lat, 5);
+  assert.strictEqual(index.lookup(5).nearest.lat, 5);
+  assert.deepStrictEqual(store.toByTime().getPoints(), store.getPoints());
+});
+
+
+test('lookupMany() answers unsorted times in the order given', function() {
+  var store = new TrackStore();
+  store.add({ lat: 0, lon: 0, time: 0 }, { lat: 0, lon: 10, time: 100 });
+  var res = store.nearestMany([ 75, new Date(25000), 150, '1970-01-01T00:00:50Z', -5 ]);
+  assert.deepStrictEqual(res.map(function(p) { return p && Math.round(p.lon * 1000) / 1000; }), [ 7.5, 2.5, null, 5, null ]);
+  assert.deepStrictEqual(store.lookupMany([]), []);
+  assert.throws(function() { store.lookupMany([ 75, NaN ]); }, /Can't understand time NaN/);
+});
+
+
+test('elevation is kept in a column, so results have it without keepOriginals', function() {
+  var store = new TrackStore();
+  store.add({ lat: 54, lon: -2, time: 0, ele: 100 }, { lat: 54.1, lon: -2, time: 10, ele: 200, hdop: 2 },
+            { lat: 54.2, lon: -2, time: 20 });
+  assert.strictEqual(store.lookup(2.5).best.ele, 125);
+  assert.strictEqual(store.lookup(10).best.ele, 200);
+  assert.strictEqual(store.lookup(15).best.ele, undefined);
+  assert.deepStrictEqual(store.point(1), { lat: 54.1, lon: -2, time: 10, hdop: 2, ele: 200 });
+  assert.deepStrictEqual(store.point(2), { lat: 54.2, lon: -2, time: 20 });
+  assert.deepStrictEqual(Array.prototype.slice.call(store.columns().ele).map(String), [ '100', '200', 'NaN' ]);
+});
+
+
+test('addAsync() takes async and plain iterables, nested any way', function() {
+  async function* fixes() {
+    for (var i = 0; i < 200; i++) yield i % 50 ? { lat: 1, lon: 1, time: 1000 - i } : [ { lat: 2, lon: 2, time: i } ];
+  }
+  var store = new TrackStore({ chunk: 16 });
+  return store.addAsync(fixes()).then(function(res) {
+    assert.deepStrictEqual(res, { added: 200, errors: [] });
+    var t = times(store);
+    for (var i = 1; i < t.length; i++) assert.ok(t[i-1] <= t[i]);
+    return store.addAsync([ { lat: 3, lon: 3, time: 5000 } ]);
+  }).then(function(res) {
+    assert.strictEqual(res.added, 1);
+    assert.deepStrictEqual(store.timeRange(), [ 0, 5000 ]);
+    return assert.rejects(store.addAsync(5), /needs an iterable/);
+  });
+});
+
+
+test('addAsync() closes the source when a point is bad', function() {
+  var closed = 0, next = 0;
+  var source = {};
+  source[Symbol.iterator] = function() {
+    return {
+      next: function() { return next++ < 2 ? { done: false, value: { lat: 1, lon: 2, time: next } } : { done: false, value: 42 }; },
+      return: function() { closed++; return { done: true }; }
+    };
+  };
+  var cleaned = false;
+  async function* fixes() {
+    try {
+      yield { lat: 1, lon: 2, time: 3 };
+      yield { lat: 1, lon: 2 };
+      yield { lat: 1, lon: 2, time: 4 };
+    } finally {
+      cleaned = true;
+    }
+  }
+
+  return assert.rejects(new TrackStore().addAsync(source), /Don't know how to add 42/).then(function() {
+    assert.strictEqual(closed, 1);
+    return assert.rejects(new TrackStore().addAsync(fixes()), /must have the following keys/);
+  }).then(function() {
+    assert.strictEqual(cleaned, true);
+  });
+});
+
+
+test('addStream() reads track formats and object streams', function() {
+  var csv = 'time,lat,lon,ele\n2020-01-01T00:00:00Z,54.1,-2.1,10\n2020-01-01T00:00:10Z,54.2,-2.2,30\n' +
+            'bad,1,1,1\n2020-01-01T00:00:05Z,54.15,-2.15,20\n';
+  var chunks = [];
+  for (var i = 0; i < csv.length; i += 7) chunks.push(Buffer.from(csv.slice(i, i + 7)));
+  var store = new TrackStore(), seen = [];
+
+  return store.addStream(Readable.from(chunks), 'csv', { error: function(e) { seen.push(e); } }).then(function(res) {
+    assert.strictEqual(res.added, 3);
+    assert.strictEqual(res.errors.length, 1);
+    assert.deepStrictEqual(seen, res.errors);
+    var pt = store.nearest('2020-01-01T00:00:07.5Z');
+    assert.ok(Math.abs(pt.lat - 54.175) < 1e-4 && Math.abs(pt.ele - 25) < 1e-9);
+
+    var objects = Readable.from([ { lat: 1, lon: 1, time: 1 }, [ { lat: 1, lon: 1, time: 2 } ] ], { objectMode: true });
+    return store.addStream(objects);
+  }).then(function(res) {
+    assert.deepStrictEqual(res, { added: 2, errors: [] });
+    assert.strictEqual(store.timeRange()[0], 1);
+    return assert.rejects(store.addStream(Readable.from([ 'x' ], { objectMode: true })), /Don't know how to add x/);
+  });
+});
+
+
+test('addStream() ignores whatever a stream emits after a bad record', function() {
+  // an emitter has no destroy(), so nothing stops it after the store gives up
+  var source = new EventEmitter(), store = new TrackStore({ chunk: 2 }), done = null;
+  var res = store.addStream(source).then(function() { done = 'resolved'; }, function(e) { done = e.message; });
+
+  source.emit('data', [ { lat: 1, lon: 1, time: 1 }, { lat: 1, lon: 1, time: 2 } ]);
+  source.emit('data', 42);
+  source.emit('data', [ { lat: 1, lon: 1, time: 3 }, { lat: 1, lon: 1, time: 4 } ]);
+  source.emit('end');
+  source.emit('error', new Error('too late'));
+
+  return res.then(function() {
+    assert.strictEqual(done, "Don't know how to add 42");
+    assert.deepStrictEqual(times(store), [ 1, 2 ]);
+  });
+});
@@ -0,0 +1,164 @@
+/*
+ * TrackWriter tests - GeoJSON and GPX output is compared line for line
+ *
+ * run with: node --test andy/t/
+ */
+
+var test = require('node:test'), assert = require('assert');
+var ByTime = require('../bytime.js').ByTime;
+var TrackWriter = require('../writers.js').TrackWriter;
+var TrackStore = require('../store.js').TrackStore;
+
+
+var t0 = 1172188800;
+
+function track() {
+  return [
+    { lat: 54.123456789, lon: -2.5, time: t0, ele: 101.234 },
+    { lat: 54.2, lon: -2.4, time: t0 + 60 },
+    { lat: 54.3, lon: -2.3, time: t0 + 120.5 }
+  ];
+}
+
+function results(index) {
+  var res = [ index.lookup(t0 + 30), index.lookup(t0 + 60), index.lookup(t0 + 130, null, { extrapolate: 60 }) ];
+  res[0].name = 'IMG <1> & "2"';
+  return res;
+}
+
+
+test('geoJSON() gives the track and each result, rounded', function() {
+  var index = new ByTime(track());
+  var json = TrackWriter.geoJSON(index, results(index), { name: 'Walk', indent: 0 });
+  assert.strictEqual(json, [
+    '{"type":"FeatureCollection","features":[',
+    '{"type":"Feature","geometry":{"type":"LineString","coordinates":[[-2.5,54.1234568,101.23],[-2.4,54.2],[-2.3,54.3]]},',
+    '"properties":{"name":"Walk","coordTimes":["2007-02-23T00:00:00Z","2007-02-23T00:01:00Z","2007-02-23T00:02:00.500Z"]}},',
+    '{"type":"Feature","geometry":{"type":"Point","coordinates":[-2.4500462,54.1617387]},',
+    '"properties":{"name":"IMG <1> & \\"2\\"","time":"2007-02-23T00:00:30Z","match":"interpolated",',
+    '"dist":5363.87,"error":2696.94,"nearestTime":"2007-02-23T00:01:00Z"}},',
+    '{"type":"Feature","geometry":{"type":"Point","coordinates":[-2.4,54.2]},',
+    '"properties":{"time":"2007-02-23T00:01:00Z","match":"exact","dist":0,"error":10,"nearestTime":"2007-02-23T00:01:00Z"}},',
+    '{"type":"Feature","geometry":{"type":"Point","coordinates":[-2.2842534,54.3156949]},',
+    '"properties":{"time":"2007-02-23T00:02:10Z","match":"extrapolated","dist":2024.46,"error":1017.03,',
+    '"nearestTime":"2007-02-23T00:02:00.500Z"}}]}\n'
+  ].join(''));
+
+  var pretty = TrackWriter.geoJSON(index, results(index), { name: 'Walk' });
+  assert.deepStrictEqual(JSON.parse(pretty), JSON.parse(json));
+  assert.ok(/^\{\n  "type": "FeatureCollection",\n/.test(pretty));
+});
+
+
+test('gpx() gives a wpt for each result, then the track', function() {
+  var index = new ByTime(track());
+  var gpx = TrackWriter.gpx(index, results(index), { name: 'Walk & talk', precision: 5 });
+  assert.strictEqual(gpx, [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Geo::Lookup::ByTime" xmlns="http://www.topografix.com/GPX/1/1"' +
+      ' xmlns:bytime="http://search.cpan.org/dist/Geo-Lookup-ByTime/">',
+    '  <wpt lat="54.16174" lon="-2.45005">',
+    '    <time>2007-02-23T00:00:30Z</time>',
+    '    <name>IMG &lt;1&gt; &amp; &quot;2&quot;</name>',
+    '    <desc>interpolated, 5363.87 m from nearest fix</desc>',
+    '    <type>interpolated</type>',
+    '    <extensions>',
+    '      <bytime:dist>5363.87</bytime:dist>',
+    '      <bytime:error>2696.94</bytime:error>',
+    '      <bytime:nearestTime>2007-02-23T00:01:00Z</bytime:nearestTime>',
+    '    </extensions>',
+    '  </wpt>',
+    '  <wpt lat="54.2" lon="-2.4">',
+    '    <time>2007-02-23T00:01:00Z</time>',
+    '    <desc>exact, 0 m from nearest fix</desc>',
+    '    <type>exact</type>',
+    '    <extensions>',
+    '      <bytime:dist>0</bytime:dist>',
+    '      <bytime:error>10</bytime:error>',
+    '      <bytime:nearestTime>2007-02-23T00:01:00Z</bytime:nearestTime>',
+    '    </extensions>',
+    '  </wpt>',
+    '  <wpt lat="54.31569" lon="-2.28425">',
+    '    <time>2007-02-23T00:02:10Z</time>',
+    '    <desc>extrapolated, 2024.46 m from nearest fix</desc>',
+    '    <type>extrapolated</type>',
+    '    <extensions>',
+    '      <bytime:dist>2024.46</bytime:dist>',
+    '      <bytime:error>1017.03</bytime:error>',
+    '      <bytime:nearestTime>2007-02-23T00:02:00.500Z</bytime:nearestTime>',
+    '    </extensions>',
+    '  </wpt>',
+    '  <trk>',
+    '    <name>Walk &amp; talk</name>',
+    '    <trkseg>',
+    '      <trkpt lat="54.12346" lon="-2.5">',
+    '        <ele>101.23</ele>',
+    '        <time>2007-02-23T00:00:00Z</time>',
+    '      </trkpt>',
+    '      <trkpt lat="54.2" lon="-2.4">',
+    '        <time>2007-02-23T00:01:00Z</time>',
+    '      </trkpt>',
+    '      <trkpt lat="54.3" lon="-2.3">',
+    '        <time>2007-02-23T00:02:00.500Z</time>',
+    '      </trkpt>',
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>'
+  ].join('\n') + '\n');
+});
+
+
+test('results give their elevation when they have one, and nulls are left out', function() {
+  var store = new TrackStore();
+  store.add(track());
+  var res = store.lookupMany([ t0 - 60, t0, t0 + 300 ]);
+  assert.strictEqual(res[0], null);
+  assert.strictEqual(res[2], null);
+
+  assert.strictEqual(TrackWriter.geoJSON([], res, { indent: 0 }), [
+    '{"type":"FeatureCollection","features":[',
+    '{"type":"Feature","geometry":{"type":"LineString","coordinates":[]},"properties":{"coordTimes":[]}},',
+    '{"type":"Feature","geometry":{"type":"Point","coordinates":[-2.5,54.1234568,101.23]},',
+    '"properties":{"time":"2007-02-23T00:00:00Z","match":"exact","dist":0,"error":10,"nearestTime":"2007-02-23T00:00:00Z"}}]}\n'
+  ].join(''));
+
+  assert.strictEqual(TrackWriter.gpx([], res), [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Geo::Lookup::ByTime" xmlns="http://www.topografix.com/GPX/1/1"' +
+      ' xmlns:bytime="http://search.cpan.org/dist/Geo-Lookup-ByTime/">',
+    '  <wpt lat="54.1234568" lon="-2.5">',
+    '    <ele>101.23</ele>',
+    '    <time>2007-02-23T00:00:00Z</time>',
+    '    <desc>exact, 0 m from nearest fix</desc>',
+    '    <type>exact</type>',
+    '    <extensions>',
+    '      <bytime:dist>0</bytime:dist>',
+    '      <bytime:error>10</bytime:error>',
+    '      <bytime:nearestTime>2007-02-23T00:00:00Z</bytime:nearestTime>',
+    '    </extensions>',
+    '  </wpt>',
+    '  <trk>',
+    '    <trkseg>',
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>'
+  ].join('\n') + '\n');
+});
+
+
+test('output depends only on the points, not the order they were added in', function() {
+  var pts = track(), index = new ByTime(pts);
+  var rev = new ByTime(pts.slice().reverse());
+  assert.strictEqual(TrackWriter.gpx(pts.slice().reverse()), TrackWriter.gpx(index));
+  assert.strictEqual(TrackWriter.geoJSON(rev, results(rev)), TrackWriter.geoJSON(index, results(index)));
+  assert.strictEqual(TrackWriter.geoJSON([], null, { indent: 0 }),
+                     '{"type":"FeatureCollection","features":[{"type":"Feature","geometry":' +
+                     '{"type":"LineString","coordinates":[]},"properties":{"coordTimes":[]}}]}\n');
+});
+
+
+test('formatTime() gives UTC with milliseconds only when needed', function() {
+  assert.strictEqual(TrackWriter.formatTime(t0), '2007-02-23T00:00:00Z');
+  assert.strictEqual(TrackWriter.formatTime(t0 + 0.25), '2007-02-23T00:00:00.250Z');
+  assert.strictEqual(TrackWriter.formatTime(0), '1970-01-01T00:00:00Z');
+});
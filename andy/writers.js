@@ -0,0 +1,182 @@
+/*
+ * TrackWriter - methods summary
+ *
+ *   json = TrackWriter.geoJSON(track, results, opts)
+ *   xml = TrackWriter.gpx(track, results, opts)
+ *   iso = TrackWriter.formatTime(1172224800)
+ *
+ * track is a ByTime index or anything ByTime accepts as points; results is an array of
+ * ByTime lookup() results, each optionally given a name (eg the photo it locates).
+ *
+ * GeoJSON output is a FeatureCollection: the track as a LineString Feature with the fix
+ * times in its coordTimes property, followed by a Point Feature for each result. GPX
+ * output has a wpt for each result followed by the track as a trk. Either way each
+ * result says whether it was an exact match, interpolated or extrapolated, how far (in
+ * metres) it is from the nearest real fix and its estimated error radius (metres), with
+ * its elevation where the fixes either side had one. Null results (times lookupMany() or
+ * nearestMany() could not place) are left out, as there is no position to write.
+ *
+ * The output depends only on the input - coordinates are rounded to opts.precision
+ * decimal places (default 7, about 1cm) and distances to the centimetre - so it can be
+ * compared in tests.
+ *
+ * opts:
+ *   precision - decimal places for latitude & longitude
+ *   name      - name for the track
+ *   indent    - GeoJSON indentation (default 2; 0 for a single line)
+ */
+
+if (typeof ByTime == 'undefined' && typeof require == 'function') {
+  var ByTime = require('./bytime.js').ByTime;
+}
+
+
+var TrackWriter = {};
+
+
+/*
+ * serialise a track and lookup results as GeoJSON
+ */
+TrackWriter.geoJSON = function(track, results, opts) {
+  opts = opts || {};
+  var prec = opts.precision == null ? 7 : opts.precision;
+  var pts = TrackWriter._points(track);
+  var features = [], coords = [], times = [];
+
+  for (var i = 0; i < pts.length; i++) {
+    var c = [ TrackWriter._round(pts[i].lon, prec), TrackWriter._round(pts[i].lat, prec) ];
+    var ele = ByTime._ele(pts[i]);
+    if (ele != null) c.push(TrackWriter._round(ele, 2));
+    coords.push(c);
+    times.push(TrackWriter.formatTime(pts[i].time));
+  }
+
+  var props = {};
+  if (opts.name != null) props.name = String(opts.name);
+  props.coordTimes = times;
+  features.push({ type: 'Feature', geometry: { type: 'LineString', coordinates: coords }, properties: props });
+
+  results = results || [];
+  for (var i = 0; i < results.length; i++) {
+    var res = results[i];
+    if (res == null) continue;
+    props = {};
+    if (res.name != null) props.name = String(res.name);
+    props.time = TrackWriter.formatTime(res.best.time);
+    props.match = TrackWriter._match(res);
+    props.dist = TrackWriter._round(res.dist, 2);
+    if (res.error != null) props.error = TrackWriter._round(res.error, 2);
+    props.nearestTime = TrackWriter.formatTime(TrackWriter._time(res.nearest));
+    var c = [ TrackWriter._round(res.best.lon, prec), TrackWriter._round(res.best.lat, prec) ];
+    if (res.best.ele != null) c.push(TrackWriter._round(res.best.ele, 2));
+    features.push({ type: 'Feature', geometry: { type: 'Point', coordinates: c }, properties: props });
+  }
+
+  return JSON.stringify({ type: 'FeatureCollection', features: features }, null,
+                        opts.indent == null ? 2 : opts.indent) + '\n';
+}
+
+
+/*
+ * serialise a track and lookup results as GPX 1.1
+ */
+TrackWriter.gpx = function(track, results, opts) {
+  opts = opts || {};
+  var prec = opts.precision == null ? 7 : opts.precision;
+  var pts = TrackWriter._points(track);
+  var esc = TrackWriter._xmlEscape;
+  var out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Geo::Lookup::ByTime" xmlns="http://www.topografix.com/GPX/1/1"' +
+      ' xmlns:bytime="http://search.cpan.org/dist/Geo-Lookup-ByTime/">'
+  ];
+
+  results = results || [];
+  for (var i = 0; i < results.length; i++) {
+    var res = results[i];
+    if (res == null) continue;
+    var match = TrackWriter._match(res), dist = TrackWriter._round(res.dist, 2);
+    out.push('  <wpt lat="' + TrackWriter._round(res.best.lat, prec) + '" lon="' + TrackWriter._round(res.best.lon, prec) + '">');
+    if (res.best.ele != null) out.push('    <ele>' + TrackWriter._round(res.best.ele, 2) + '</ele>');
+    out.push('    <time>' + TrackWriter.formatTime(res.best.time) + '</time>');
+    if (res.name != null) out.push('    <name>' + esc(res.name) + '</name>');
+    out.push('    <desc>' + match + ', ' + dist + ' m from nearest fix</desc>');
+    out.push('    <type>' + match + '</type>');
+    out.push('    <extensions>');
+    out.push('      <bytime:dist>' + dist + '</bytime:dist>');
+    if (res.error != null) out.push('      <bytime:error>' + TrackWriter._round(res.error, 2) + '</bytime:error>');
+    out.push('      <bytime:nearestTime>' + TrackWriter.formatTime(TrackWriter._time(res.nearest)) + '</bytime:nearestTime>');
+    out.push('    </extensions>');
+    out.push('  </wpt>');
+  }
+
+  out.push('  <trk>');
+  if (opts.name != null) out.push('    <name>' + esc(opts.name) + '</name>');
+  out.push('    <trkseg>');
+  for (var i = 0; i < pts.length; i++) {
+    out.push('      <trkpt lat="' + TrackWriter._round(pts[i].lat, prec) + '" lon="' + TrackWriter._round(pts[i].lon, prec) + '">');
+    var ele = ByTime._ele(pts[i]);
+    if (ele != null) out.push('        <ele>' + TrackWriter._round(ele, 2) + '</ele>');
+    out.push('        <time>' + TrackWriter.formatTime(pts[i].time) + '</time>');
+    out.push('      </trkpt>');
+  }
+  out.push('    </trkseg>');
+  out.push('  </trk>');
+  out.push('</gpx>');
+
+  return out.join('\n') + '\n';
+}
+
+
+/*
+ * seconds since the epoch to ISO 8601 UTC, with milliseconds only when they're not zero
+ */
+TrackWriter.formatTime = function(secs) {
+  return new Date(Math.round(secs * 1000)).toISOString().replace(/\.000Z$/, 'Z');
+}
+
+
+/*
+ * the track's points in time order as { lat, lon, time, orig } (internal use)
+ */
+TrackWriter._points = function(track) {
+  return ByTime.track(track).getPoints();
+}
+
+
+/*
+ * how a lookup result was found: 'exact', 'interpolated' or 'extrapolated' (internal use)
+ */
+TrackWriter._match = function(res) {
+  return res.exact ? 'exact' : res.extrapolated ? 'extrapolated' : 'interpolated';
+}
+
+
+/*
+ * time of a point as originally added to ByTime (internal use)
+ */
+TrackWriter._time = function(pt) {
+  return typeof pt.time == 'function' ? pt.time() : pt.time;
+}
+
+
+/*
+ * round to the given number of decimal places (internal use)
+ */
+TrackWriter._round = function(num, places) {
+  var res = Number(Number(num).toFixed(places));
+  return res == 0 ? 0 : res;                      // no -0
+}
+
+
+/*
+ * escape text for XML content or attributes (internal use)
+ */
+TrackWriter._xmlEscape = function(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+
+if (typeof module != 'undefined' && module.exports) {
+  module.exports.TrackWriter = TrackWriter;
+}